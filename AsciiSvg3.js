@@ -35,16 +35,101 @@ var ASVG = {};
 //
 ////////////////////////////////////
 
+// Messages below log.level are dropped; the rest go to log.sink as
+// {level, levelName, message, boardId}. boardId is undefined for messages
+// not tied to a board. log.level SILENT drops everything.
+
 this.log = {};
 this.log.logLevels = {0:"SILENT", 1:"DEBUG", 2:"INFO", 3:"LOG", 4:"WARN", 5:"ERROR"};
-this.log.info = function(message) {
-	console.info(message);
+this.log.level = 4;
+
+this.log.consoleSink = function(entry) {
+	var tag = (entry.boardId === undefined) ? "ASVG" : `ASVG[${entry.boardId}]`;
+	var method = {1:"debug", 2:"info", 3:"log", 4:"warn", 5:"error"}[entry.level];
+	console[method](`${tag}: ${entry.message}`);
+}
+this.log.sink = this.log.consoleSink;
+
+// Level may be given as number or name, e.g. ASVG.log.setLevel("debug").
+this.log.setLevel = function(level) {
+	if (typeof(level) === "string") {
+		level = Object.keys(this.logLevels).find((k) => this.logLevels[k] === level.toUpperCase());
+	}
+	if (this.logLevels[level] === undefined) {
+		this.error(`Unknown log level: ${level}`);
+		return this;
+	}
+	this.level = Number(level);
+	return this;
+}
+
+// Pass null to restore the console.
+this.log.setSink = function(sink) {
+	this.sink = (sink == null) ? this.consoleSink : sink;
+	return this;
+}
+
+// Collects entries instead of printing them; returns the array they go to.
+this.log.capture = function() {
+	var entries = [];
+	this.setSink((entry) => entries.push(entry));
+	return entries;
+}
+
+this.log.write = function(level,message,boardId) {
+	if (this.level === 0 || level < this.level) return;
+	this.sink({level:level, levelName:this.logLevels[level], message:message, boardId:boardId});
+}
+this.log.debug = function(message,boardId) {
+	this.write(1,message,boardId);
+}
+this.log.info = function(message,boardId) {
+	this.write(2,message,boardId);
+}
+this.log.log = function(message,boardId) {
+	this.write(3,message,boardId);
+}
+this.log.warn = function(message,boardId) {
+	this.write(4,message,boardId);
 }
-this.log.warn = function(message) {
-		console.warn(message);
+this.log.error = function(message,boardId) {
+	this.write(5,message,boardId);
 }
-this.log.error = function(message) {
-	console.error(message);
+
+// Same methods as log, with every message tagged with boardId.
+this.log.channel = function(boardId) {
+	var channel = {boardId:boardId};
+	for (let method of ["debug","info","log","warn","error"]) {
+		channel[method] = (message) => this[method](message,boardId);
+	}
+	return channel;
+}
+
+// Errors: every mistake ASVG detects is one of these, so callers can tell
+// them apart with instanceof. details (boardId, value, ...) are copied onto
+// the error. ASVG.report() throws them, or with Config.errorMode "log"
+// logs them and lets the caller carry on.
+
+this.Error = class AsvgError extends Error {
+	constructor(message,details={}) {
+		super(message);
+		this.name = this.constructor.name;
+		Object.assign(this,details);
+	}
+};
+this.UnknownBoardError = class UnknownBoardError extends this.Error {};
+this.DuplicateBoardError = class DuplicateBoardError extends this.Error {};
+this.UnknownPathError = class UnknownPathError extends this.Error {};
+this.CoordinateError = class CoordinateError extends this.Error {};
+this.ExpressionError = class ExpressionError extends this.Error {};
+this.RangeError = class RangeError extends this.Error {};
+
+this.report = function(error) {
+	if (this.Config.errorMode === "log") {
+		this.log.error(error.message,error.boardId);
+		return null;
+	}
+	throw error;
 }
 
 // Interface Part 0: State
@@ -59,21 +144,43 @@ this.Boards = {};
 
 // Interface Part 1: Configuration
 
+// Path styles cascade: Config.pathDefaults, then the board's theme, then
+// the board's own pathDefaults, then the style given to each Path.
+
 this.Config = {
+	errorMode: "throw", // or "log"
+	// plot() adds points until the drawn curve is within tolerance pixels
+	// of the true one, using at most maxPoints points per curve. It can
+	// draw vertical asymptotes dashed, mark removable holes with open dots
+	// and the ends of jumps with filled (value) and open (limit) dots.
+	plotDefaults: {
+		tolerance: 0.5,
+		maxPoints: 2000,
+		asymptotes: false,
+		holes: false,
+		jumps: false
+	},
 	boardDefaults: {
 		containerStyle: "",
 		paddingPX: 20,
 		bgFill: "#FFFFFF",
+		theme: "default",
 		xMinXY: -10,
 		xMaxXY: 10,
 		yMinXY: -10,
-		yMaxXY: 10
+		yMaxXY: 10,
+		xScale: "linear", // or "log" (base 10) or "ln" (base e)
+		yScale: "linear"
 	},
 	pathDefaults: {
+		strokeColor: "#000000",
+		strokeWidth: 1,
+		fillColor: "none",
 		arrowFillColor: "#666666",
 		axesStrokeColor: "#000000",
 		dotRadius: 4,
 		dotStrokeWidth: 1,
+		fontFamily: 'KaTeX_Main,"Times New Roman",Times,serif',
 		fontSize: 14.4,
 		gridStrokeColor: "#DDDDDD",
 		fillOpacity: 1,
@@ -84,7 +191,35 @@ this.Config = {
 		markerType: "none",
 		segmentStrokeWidth: 1,
 		strokeOpacity: 1,
+		textClassName: "asvg-label",
+		textColor: "#000000",
 		tickLength: 4 
+	},
+	// A theme overrides any pathDefaults key, and may set bgFill.
+	themes: {
+		default: {},
+		dark: {
+			bgFill: "#1E1E1E",
+			strokeColor: "#E0E0E0",
+			arrowFillColor: "#BBBBBB",
+			axesStrokeColor: "#BBBBBB",
+			gridStrokeColor: "#3A3A3A",
+			markerStroke: "#E0E0E0",
+			markerFillColor: "#E0E0E0",
+			textColor: "#E0E0E0"
+		},
+		print: {
+			bgFill: "#FFFFFF",
+			strokeWidth: 1.5,
+			arrowFillColor: "#000000",
+			gridStrokeColor: "#BBBBBB",
+			fontFamily: '"Times New Roman",Times,serif',
+			segmentStrokeWidth: 1.5
+		}
+	},
+	registerTheme: function(name,theme) {
+		this.themes[name] = {...theme};
+		return this.themes[name];
 	}
 };
 
@@ -92,30 +227,156 @@ this.Config = {
 
 class Board {
 	constructor(boardId,containerStyle,localOptions,context) {
-		if (typeof(boardId) !== "string") return false; // TODO exceptions?
 		this.boardId = boardId;
 		this.boardElement = document.getElementById(boardId);
+		this.elementStyle = this.boardElement.getAttribute("style"); // restored by deleteBoard
 		this.boardElement.classList.add("asvg-borard");
+		this.localOptions = localOptions;
 		this.boardOptions = {...context.Config.boardDefaults,...localOptions};
-		this.boardOptions.containerStyle = containerStyle; // if string
-		if (typeof containerStyle  === "string") {
-			this.boardElement.style = containerStyle;
+		if (containerStyle !== undefined) {
+			this.boardOptions.containerStyle = containerStyle;
+		}
+		if (typeof this.boardOptions.containerStyle === "string") {
+			this.boardElement.style = this.boardOptions.containerStyle;
 		}
 		this.Paths = {};
+		this.pathCount = 0;
+		this.pathDefaults = {...localOptions.pathDefaults};
 		this.context = context;
+		this.log = context.log.channel(boardId);
 
 		this.updatePosition();
 
 		// Needs context for log and legacy V2 methods.
-		context.V2.initBoard(boardId,-5,5,-5,5);
-		context.V2.axes(1,1,"TRUE",1,1);
-		context.V2.circle([0,0],1,"circle1");
-		context.V2.plot("x^2+x,-3,2");
+		// state is this board's own coordinate system and current style.
+		var {xMinXY,xMaxXY,yMinXY,yMaxXY,paddingPX,xScale,yScale} = this.boardOptions;
+		this.state = context.V2.initBoard(boardId,xMinXY,xMaxXY,yMinXY,yMaxXY,paddingPX,this.getBgFill(),[xScale,yScale]);
+		this.svgElement = document.getElementById(boardId+"SVG");
 	}
 
 	updatePosition() {
 			return 0;
 	}
+
+	getTheme() {
+		var theme = this.context.Config.themes[this.boardOptions.theme];
+		if (theme === undefined) {
+			this.log.warn(`Unknown theme: ${this.boardOptions.theme}`);
+			return {};
+		}
+		return theme;
+	}
+
+	// An explicit bgFill option beats the theme's, which beats the default.
+	getBgFill() {
+		if (this.localOptions.bgFill !== undefined) return this.localOptions.bgFill;
+		var theme = this.getTheme();
+		return (theme.bgFill !== undefined) ? theme.bgFill : this.context.Config.boardDefaults.bgFill;
+	}
+
+	// Resolved at render time, so later changes to Config take effect on redraw.
+	getPathDefaults() {
+		var {bgFill,...themeDefaults} = this.getTheme();
+		return {...this.context.Config.pathDefaults,...themeDefaults,...this.pathDefaults};
+	}
+
+	setTheme(name) {
+		if (typeof(this.context.Config.themes[name]) !== "object") {
+			this.log.error(`Theme does not exist: ${name}`);
+			return this;
+		}
+		this.boardOptions.theme = name;
+		document.getElementById("brdBg_"+this.boardId).setAttribute("fill",this.getBgFill());
+		return this.redraw();
+	}
+
+	setPathDefaults(pathDefaults) {
+		this.pathDefaults = {...this.pathDefaults,...pathDefaults};
+		return this.redraw();
+	}
+
+	// Removes every Path and anything drawn directly with V2; the board's
+	// coordinates, theme and defaults stay.
+	clear() {
+		for (var pathId in this.Paths) {
+			this.Paths[pathId].remove();
+		}
+		this.Paths = {};
+		this.pathCount = 0;
+		this.context.V2.clearBoard(this.boardId);
+		return this;
+	}
+
+	// Maps world coordinates to SVG pixels and back; every primitive goes
+	// through it.
+	get transform() {
+		return this.context.V2.getTransform(this.boardId);
+	}
+
+	setTransform(transform) {
+		this.context.V2.setTransform(this.boardId,transform);
+		return this.redraw();
+	}
+
+	get scale() {
+		return this.transform.scale;
+	}
+
+	get visibleRange() {
+		return this.transform.visible;
+	}
+
+	get plotRange() {
+		return this.transform.plot;
+	}
+
+	toPixel(p) {
+		return this.transform.toPixel(p);
+	}
+
+	toWorld(q) {
+		return this.transform.toWorld(q);
+	}
+
+	// define("a",2), define("f(x)","a x^2 + 1"): names for this board's
+	// formulas, e.g. newPath("plot",["f(x-1)"]). Paths redraw with the new
+	// values.
+	define(name,value) {
+		if (this.context.V2.define(this.boardId,name,value)) {
+			this.redraw();
+		}
+		return this;
+	}
+
+	// As ASVG.derivative(), with this board's defined names, e.g.
+	// derivative("f(x)") --> "2a x" after the define above.
+	derivative(expression,variable="x") {
+		return this.context.V2.derivative(expression,variable,this.boardId);
+	}
+
+	redraw() {
+		for (var pathId in this.Paths) {
+			this.Paths[pathId].render();
+		}
+		return this;
+	}
+
+	newPath(type,args,style,pathId) {
+		return this.context.newPath(this,type,args,style,pathId);
+	}
+
+	getPath(pathId) {
+		return this.context.getPath(this,pathId);
+	}
+
+	modifyPath(pathId,changes) {
+		return this.context.modifyPath(this,pathId,changes);
+	}
+
+	deletePath(pathId) {
+		this.context.deletePath(this,pathId);
+		return this;
+	}
 }
 Board.prototype.noop = function() {ASVG.log.warn("NOOP");}
 
@@ -123,12 +384,25 @@ this.createBoard = function(boardId,containerStyle,localBoardOptions={}) { // an
 	var mergedBoardOptions = {...this.Config.boardDefaults,...localBoardOptions};
 	var board = {};
 
+	if (typeof(boardId) !== "string" || boardId === "") {
+		return this.report(new this.UnknownBoardError(`Board ID must be a non-empty string: ${boardId}`,{value:boardId}));
+	}
 	if (typeof(this.Boards[boardId]) === "object") {
-		this.log.warn(`Board already exists with same ID: ${id}`);
-		return this.Boards[boardId];
+		return this.report(new this.DuplicateBoardError(`Board already exists with same ID: ${boardId}`,{boardId:boardId}));
+	}
+	if (document.getElementById(boardId) === null) {
+		return this.report(new this.UnknownBoardError(`No element with ID: ${boardId}`,{boardId:boardId}));
+	}
+	var {xMinXY,xMaxXY,yMinXY,yMaxXY} = mergedBoardOptions;
+	if (!isRange(xMinXY,xMaxXY)) {
+		return this.report(new this.RangeError(`Board x range must be numbers with xMinXY < xMaxXY: ${xMinXY}, ${xMaxXY}`,{boardId:boardId,value:[xMinXY,xMaxXY]}));
+	}
+	// yMaxXY null scales y as x
+	if (!isRange(yMinXY,(yMaxXY == null ? Infinity : yMaxXY))) {
+		return this.report(new this.RangeError(`Board y range must be numbers with yMinXY < yMaxXY: ${yMinXY}, ${yMaxXY}`,{boardId:boardId,value:[yMinXY,yMaxXY]}));
 	}
 
-	this.log.info(`Creating Board ID: ${boardId}`)
+	this.log.info(`Creating Board ID: ${boardId}`,boardId)
 	board = new Board(boardId,containerStyle,localBoardOptions,this);
 	this.Boards[boardId] = board;
 	return board;
@@ -136,8 +410,7 @@ this.createBoard = function(boardId,containerStyle,localBoardOptions={}) { // an
 
 this.getBoard = function(id) { // analogue: setBoardParams(), kind of
 	if (typeof(this.Boards[id]) !== "object") {
-		this.log.error(`Board ID does not exist: {$id}`);
-		return null;
+		return this.report(new this.UnknownBoardError(`Board ID does not exist: ${id}`,{boardId:id}));
 	}
 	return this.Boards[id];
 }
@@ -146,19 +419,32 @@ this.deleteBoard = function (id) {
 	var board = {};
 
 	// Passed id may be Board object or lookup string.
-	if (typeof(id) !== "string" && typeof(id) !== "object") {
-		this.log.error(`Board ID is not a Board object or a string: {$id}`);
-	}
-
-	if (typeof(id) === "object") {
+	if (id instanceof Board) {
 		board = id;
-		id = board.id;
+		id = board.boardId;
 	}
-	else {
+	else if (typeof(id) === "string") {
 		board = this.getBoard(id);
+		if (board === null) return this;
+	}
+	else {
+		this.report(new this.UnknownBoardError(`Board ID is not a Board object or a string: ${id}`,{value:id}));
+		return this;
 	}
 
-	this.log.info(`Deleting Board ID: ${id}`)
+	if (this.Boards[id] !== board) return this; // already deleted
+
+	this.log.info(`Deleting Board ID: ${id}`,id)
+	board.clear();
+	this.V2.deleteBoard(id);
+	board.boardElement.classList.remove("asvg-borard");
+	if (board.boardElement.classList.length === 0) board.boardElement.removeAttribute("class");
+	if (board.elementStyle === null) {
+		board.boardElement.removeAttribute("style");
+	}
+	else {
+		board.boardElement.setAttribute("style",board.elementStyle);
+	}
 	delete(this.Boards[id]);
 	return this; // would allow ASVG.deleteBoard().newBoard();
 }
@@ -166,22 +452,197 @@ this.deleteBoard = function (id) {
 
 // Interface Part 3: Path operations
 
-class Path extends Board {
-	constructor(id,board,context) {
-		return 0;
+// A Path is one drawn thing on a Board. It keeps its arguments in data
+// coordinates and owns an SVG <g> holding every node its V2 primitive
+// creates (including helpers like "-ah" arrowheads and "label" texts),
+// plus any HTML label divs, so it can be redrawn or removed as a unit.
+class Path {
+	constructor(pathId,board,type,args,style,context) {
+		this.pathId = pathId;
+		this.board = board;
+		this.type = type;
+		this.args = args;
+		this.style = style;
+		this.context = context;
+		this.htmlElements = [];
+
+		this.pathElement = document.createElementNS("http://www.w3.org/2000/svg","g");
+		this.pathElement.setAttribute("class",`asvg-path asvg-${type}`);
+		this.pathElement.setAttribute("data-path-id",pathId);
+		board.svgElement.appendChild(this.pathElement);
+
+		try {
+			this.render();
+		} catch (error) {
+			this.remove();
+			throw error;
+		}
+	}
+
+	// Id handed to the V2 primitive; helper nodes derive theirs from it.
+	get nodeId() {
+		return `${this.board.boardId}-${this.pathId}`;
+	}
+
+	render() {
+		var renderer = Path.renderers[this.type];
+		this.clearElements();
+		this.htmlElements = this.context.V2.drawInto(this.board.boardId,this.pathElement,() => {
+			renderer(this.context.V2,this.args,this.nodeId,this.style);
+		},this.board.getPathDefaults());
+		return this;
+	}
+
+	clearElements() {
+		var ids = Array.from(this.pathElement.querySelectorAll("[id]"),node => node.id);
+		while (this.pathElement.firstChild) {
+			this.pathElement.removeChild(this.pathElement.firstChild);
+		}
+		this.htmlElements.forEach(element => element.remove());
+		this.htmlElements = [];
+		this.context.V2.forgetNodes(this.board.boardId,ids);
+	}
+
+	remove() {
+		this.clearElements();
+		this.pathElement.remove();
+	}
+}
+
+// How each Path type maps its args onto the V2 primitive of the same name.
+// style is the Path's own style object (see callStyle() in V2).
+Path.renderers = {
+	angleArc: function(V2,args,id,style) { V2.angleArc(args[0],args[1],args[2],args[3],id,style); },
+	arc: function(V2,args,id,style) { V2.arc(args[0],args[1],args[2],id,style); },
+	arrowhead: function(V2,args,id,style) { V2.arrowhead(args[0],args[1],id,style); },
+	axes: function(V2,args,id,style) { V2.axes(args[0],args[1],args[2],args[3],args[4],style); },
+	circle: function(V2,args,id,style) { V2.circle(args[0],args[1],id,style); },
+	contour: function(V2,args,id,style) { V2.contour(args[0],args[1],id,style); },
+	dot: function(V2,args,id,style) { V2.dot(args[0],args[1],args[2],args[3],id,style); },
+	ellipse: function(V2,args,id,style) { V2.ellipse(args[0],args[1],args[2],id,style); },
+	heatmap: function(V2,args,id,style) { V2.heatmap(args[0],args[1],id,style); },
+	line: function(V2,args,id,style) { V2.line(args[0],args[1],id,args[2],style); },
+	path: function(V2,args,id,style) { V2.path(args[0],id,args[1],style); },
+	plot: function(V2,args,id,style) { V2.plot(args[0],args[1],args[2],args[3],id,style); },
+	plotImplicit: function(V2,args,id,style) { V2.plotImplicit(args[0],args[1],id,style); },
+	plotParametric: function(V2,args,id,style) { V2.plotParametric(args[0],args[1],id,style); },
+	plotPiecewise: function(V2,args,id,style) { V2.plotPiecewise(args[0],args[1],id,style); },
+	plotPolar: function(V2,args,id,style) { V2.plotPolar(args[0],args[1],id,style); },
+	polarAxes: function(V2,args,id,style) { V2.polarAxes(args[0],style); },
+	polygon: function(V2,args,id,style) { V2.polygon(args[0],id,style); },
+	rect: function(V2,args,id,style) { V2.rect(args[0],args[1],id,args[2],args[3],style); },
+	segment: function(V2,args,id,style) { V2.segment(args[0],args[1],id,args[2],style); },
+	shadeRegion: function(V2,args,id,style) { V2.shadeRegion(args[0],args[1],id,style); },
+	slopeField: function(V2,args,id,style) { V2.slopeField(args[0],args[1],style); },
+	solutionCurve: function(V2,args,id,style) { V2.solutionCurve(args[0],args[1],args[2],id,style); },
+	streamlines: function(V2,args,id,style) { V2.streamlines(args[0],args[1],style); },
+	text: function(V2,args,id,style) { V2.text(args[0],args[1],args[2],id,args[3],args[4],style); },
+	vectorField: function(V2,args,id,style) { V2.vectorField(args[0],args[1],style); }
+};
+
+var isPlainObject = function(value) {
+	return Object.prototype.toString.call(value) === "[object Object]";
+}
+
+var isRange = function(min,max) {
+	return typeof(min) === "number" && typeof(max) === "number" && !isNaN(min) && !isNaN(max) && min < max;
+}
+
+// Types taking an options object, and its place in args
+Path.optionsArg = {
+	contour: 1,
+	heatmap: 1,
+	plot: 3,
+	plotImplicit: 1,
+	plotParametric: 1,
+	plotPiecewise: 1,
+	plotPolar: 1,
+	polarAxes: 0,
+	shadeRegion: 1,
+	slopeField: 1,
+	solutionCurve: 2,
+	streamlines: 1,
+	vectorField: 1
+};
+
+// board.plot(...args) etc. are shorthand for board.newPath("plot",args).
+// A trailing plain object is taken as the Path's style, e.g.
+// board.segment([0,0],[1,1],{stroke:"red",markers:"arrow"}), unless it is
+// in the type's options place: board.plotParametric(funs,{t:[0,pi]}).
+for (let type in Path.renderers) {
+	Board.prototype[type] = function(...args) {
+		var last = args.length-1;
+		var style = (isPlainObject(args[last]) && last !== Path.optionsArg[type]) ? args.pop() : {};
+		return this.newPath(type,args,style);
+	};
+}
+
+// Passed board may be Board object or lookup string.
+var resolveBoard = (board) => {
+	if (board instanceof Board) return board;
+	if (typeof(board) === "string") return this.getBoard(board);
+	return this.report(new this.UnknownBoardError(`Not a Board object or a Board ID: ${board}`,{value:board}));
+}
+
+this.newPath = function(board,type,args=[],style={},pathId) {
+	board = resolveBoard(board);
+	if (board === null) return null;
+	if (typeof(Path.renderers[type]) !== "function") {
+		return this.report(new this.UnknownPathError(`Unknown Path type: ${type}`,{boardId:board.boardId,value:type}));
+	}
+	if (pathId === undefined) {
+		pathId = `${type}${++board.pathCount}`;
+	}
+	else if (typeof(pathId) !== "string" || pathId === "") {
+		return this.report(new this.UnknownPathError(`Path ID must be a non-empty string: ${pathId}`,{boardId:board.boardId,value:pathId}));
 	}
+	if (typeof(board.Paths[pathId]) === "object") {
+		board.log.warn(`Path already exists with same ID: ${pathId}`);
+		return board.Paths[pathId];
+	}
+
+	board.Paths[pathId] = new Path(pathId,board,type,args,style,this);
+	return board.Paths[pathId];
 }
 
-this.newPath = function() {
-	return 0;
+this.getPath = function(board,pathId) {
+	board = resolveBoard(board);
+	if (board === null) return null;
+	if (typeof(board.Paths[pathId]) !== "object") {
+		return this.report(new this.UnknownPathError(`Path ID does not exist: ${pathId}`,{boardId:board.boardId,value:pathId}));
+	}
+	return board.Paths[pathId];
 }
 
-this.modifyPath = function() {
-	return 0;
+// changes.args replaces the Path's arguments; changes.style is merged into
+// its style. Only this Path is redrawn.
+this.modifyPath = function(board,pathId,changes={}) {
+	var path = (pathId instanceof Path) ? pathId : this.getPath(board,pathId);
+	if (path === null) return null;
+	var {args,style} = path;
+	if (changes.args !== undefined) {
+		path.args = changes.args;
+	}
+	if (changes.style !== undefined) {
+		path.style = {...path.style,...changes.style};
+	}
+	try {
+		return path.render();
+	} catch (error) {
+		// Bad changes leave the Path as it was
+		path.args = args;
+		path.style = style;
+		path.render();
+		throw error;
+	}
 }
 
-this.deletePath = function() {
-	return 0;
+this.deletePath = function(board,pathId) {
+	var path = (pathId instanceof Path) ? pathId : this.getPath(board,pathId);
+	if (path === null) return this;
+	path.remove();
+	delete(path.board.Paths[path.pathId]);
+	return this;
 }
 
 
@@ -189,12 +650,144 @@ this.deletePath = function() {
 
 
 
-// Method: compatibilityMode()?
+// Method: compatibilityMode(version)
 // This method exposes the internal methods of AsciiSVG(-IM) in the global
-// namespace, so those scripts can be run without modification.
+// namespace, so those scripts can be run without modification. The style
+// variables (stroke, marker, fontsize, ...) become globals that read and
+// write the current board's style. Where v1 and IM differ, version "v1"
+// follows ASCIIsvg v1: line() draws a segment rather than a full line.
+//
+// v1 scripts draw on the picture element given by switchTo(id) or the
+// picture global; initPicture() makes a Board of it, sized by the width,
+// height and border globals as in v1. IM scripts call initBoard() instead.
+
+var legacyConstants = {above:"above", below:"below", left:"left", right:"right",
+	aboveleft:"aboveleft", aboveright:"aboveright", belowleft:"belowleft", belowright:"belowright",
+	cpi:"\u03C0", ctheta:"\u03B8"};
+
+var legacyFunctions = ["angleArc","arc","arrowhead","ASdot","circle","curve","dot",
+	"draggablePtsSegLineJoiner","ellipse","line","loop","makeDraggable","mathjs","path",
+	"pathGivenD","plot","polygon","rect","segment","setBoardParams","slopefield","text"];
+
+this.compatibilityMode = function(version="im",target=window) {
+	var V2 = this.V2;
+	var picture = {element:null, width:null, height:null, border:0};
+	var defineGlobal = (name,descriptor) => {
+		Object.defineProperty(target,name,{configurable:true, enumerable:true, ...descriptor});
+	};
 
+	var initPicture = (x_min,x_max,y_min,y_max) => {
+		var el = picture.element;
+		if (el === null) {
+			this.report(new this.UnknownBoardError("initPicture needs a picture: call switchTo(id) first"));
+			return;
+		}
+		if (x_min == null) x_min = -5;
+		if (x_max == null) x_max = 5;
+		if (!isRange(x_min,x_max)) {
+			this.report(new this.RangeError("Picture requires at least two numbers: xmin < xmax",{boardId:el.id,value:[x_min,x_max]}));
+			return;
+		}
+		if (y_max != null && !isRange(y_min,y_max)) {
+			this.report(new this.RangeError("initPicture(xmin,xmax,ymin,ymax) requires numbers ymin < ymax",{boardId:el.id,value:[y_min,y_max]}));
+			return;
+		}
+		var width = Number(picture.width || el.getAttribute("width") || 300);
+		var height = Number(picture.height || el.getAttribute("height") || 200);
+		var border = Number(picture.border);
+		if (y_min == null) { // centred x-axis, equal scales
+			y_max = (height-2*border)/2*(x_max-x_min)/(width-2*border);
+			y_min = -y_max;
+		}
+		if (el.id === "") el.id = `asvgPicture${Object.keys(this.Boards).length}`;
+		if (typeof(this.Boards[el.id]) === "object") this.deleteBoard(el.id);
+		el.style.width = `${width}px`;
+		var widthToHeight = V2.getPageVar("boardWidthToHeight");
+		V2.setPageVar("boardWidthToHeight",height/width);
+		this.createBoard(el.id,undefined,{xMinXY:x_min, xMaxXY:x_max, yMinXY:y_min, yMaxXY:y_max, paddingPX:border});
+		V2.setPageVar("boardWidthToHeight",widthToHeight);
+		picture.border = 0; // as in v1, border is for one picture only
+	};
+
+	// v1 draws the current picture on first use
+	var ensurePicture = () => {
+		if (picture.element !== null && typeof(this.Boards[picture.element.id]) !== "object") {
+			initPicture();
+		}
+	};
+
+	var functions = {
+		initPicture: initPicture,
+		initBoard: (divID,x_min,x_max,y_min,y_max,pad,bgFill) => {
+			picture.element = document.getElementById(divID);
+			if (typeof(this.Boards[divID]) === "object") this.deleteBoard(divID);
+			var board = this.createBoard(divID,undefined,{xMinXY:x_min, xMaxXY:x_max, yMinXY:y_min, yMaxXY:y_max,
+				paddingPX:pad, bgFill:bgFill});
+			return (board == null ? null : board.state); // null when errorMode "log" reported a bad range
+		},
+		switchTo: (id) => {
+			picture.element = document.getElementById(id);
+			if (typeof(this.Boards[id]) === "object") V2.setBoardParams(id);
+		},
+		setBorder: (x) => {
+			picture.border = x;
+		},
+		axes: (dx,dy,labels,gdx,gdy,sty) => {
+			ensurePicture();
+			if (typeof(dx) === "string") { labels = dx; dx = null; }
+			if (typeof(dy) === "string") { gdx = dy; dy = null; }
+			if (dx == null) dx = 1;
+			if (dy == null) dy = dx;
+			if (typeof(gdx) === "string") gdx = dx;
+			V2.axes(dx,dy,labels,gdx,gdy,sty);
+		},
+		grid: (dx,dy,sty) => {
+			ensurePicture();
+			if (dx == null) dx = 1;
+			if (dy == null) dy = dx;
+			V2.axes(dx,dy,null,dx,dy,sty);
+		},
+		noaxes: ensurePicture
+	};
+	for (let name of legacyFunctions) {
+		functions[name] = (...args) => V2[name](...args);
+	}
+	if (version === "v1") {
+		functions.line = (p,q,id,...rest) => V2.segment(p,q,id,...rest);
+	}
+
+	for (let name in functions) {
+		defineGlobal(name,{writable:true, value:functions[name]});
+	}
+	for (let name in V2.mathScope) {
+		defineGlobal(name,{writable:true, value:V2.mathScope[name]});
+	}
+	for (let name in legacyConstants) {
+		defineGlobal(name,{writable:true, value:legacyConstants[name]});
+	}
+	for (let name of V2.pageVarNames) {
+		defineGlobal(name,{get: () => V2.getPageVar(name), set: (value) => V2.setPageVar(name,value)});
+	}
+	defineGlobal("picture",{
+		get: () => picture.element,
+		set: (value) => { picture.element = (typeof(value) === "string") ? document.getElementById(value) : value; }
+	});
+	for (let name of ["width","height","border"]) {
+		defineGlobal(name,{get: () => picture[name], set: (value) => { picture[name] = value; }});
+	}
+	this.log.info(`Compatibility mode: ${version}`);
+	return this;
+}
+
+// Method: derivative(expression[,variable="x"])
+// Differentiates a formula written as for plot(), returning the simplified
+// derivative as a formula string, e.g. "x^2 sin x" --> "2x sin(x) + x^2 cos(x)".
+// Pass the result back to derivative() for higher derivatives. For names a
+// board defines, use board.derivative().
+this.derivative = function(expression,variable="x") {
+	return this.V2.derivative(expression,variable);
+}
 
-// Method: polarAxes()?
 
 
 
@@ -238,6 +831,11 @@ this.deletePath = function() {
 // Legacy Interface: AsciiSVG-IM (global namespace)
 // No docs: from code inspection
 //
+// Each drawing function below also takes an optional style object as its
+// last argument, e.g. {stroke:"red",strokeWidth:2,dash:"4 2",markers:"arrow"}.
+// It overrides ASVG.Config.pathDefaults for that element only; the global
+// style variables listed are used only when no style object is passed.
+//
 // angleArc(p,radius,startAngle,endAngle[,id])  // allows angle>180
 //   p := [x,y]
 //   style := stroke,strokewidth,strokeopacity,fill,fillopacity // global
@@ -284,7 +882,10 @@ this.deletePath = function() {
 //   dx,dy := unit length, ticks and labels
 //   labels := any string other than "none" with show the axis tick labels
 //   style := gridstroke,fill // global
-// initBoard(divID,x_min,x_max,y_min,y_max) // contains lots of defaults
+// initBoard(divID,x_min,x_max,y_min,y_max[,pad,bgFill,scales]) // contains lots of defaults
+//   pad := padding around graph area in pixels, default 20
+//   bgFill := background color, default "white"
+//   scales := [xScale,yScale], each "linear" (default), "log" or "ln"
 
 this.V2 = {};
 (function(context) {
@@ -302,10 +903,42 @@ var doc = document;
 function gebi(ele) {  
 	return doc.getElementById(ele);
 }
+// V2 messages go through ASVG.log, tagged with the current board.
+function vlog(level, message) {
+	ASVG.log[level](message, brdID);
+}
 function clog(item, lineNum) {
-	console.log("lineNum="+lineNum);
-	console.log(item);
-//  window.debug = {info: window.console.info.bind(window.console, '%s')};
+	vlog("debug", "lineNum="+lineNum+": "+(typeof(item) === "object" ? JSON.stringify(item) : item));
+}
+
+// Input checks for the drawing functions. Failures go to ASVG.report(),
+// which throws unless ASVG.Config.errorMode is "log"; then they return false
+// and the caller draws nothing.
+function fail(ErrorClass, message, value) {
+	ASVG.report(new ErrorClass(message, {boardId:brdID, value:value}));
+	return false;
+}
+function isNum(x) {
+	return typeof(x) == "number" && !isNaN(x);
+}
+function checkPoint(p, name) {
+	if (Array.isArray(p) && p.length >= 2 && isNum(p[0]) && isNum(p[1])) return true;
+	return fail(ASVG.CoordinateError, name+" must be a point [x,y], not "+JSON.stringify(p), p);
+}
+function checkPoints(plist, name) {
+	if (!Array.isArray(plist)) return fail(ASVG.CoordinateError, name+" must be an array of points", plist);
+	for (var i=0; i<plist.length; i++) {
+		if (!checkPoint(plist[i], name+"["+i+"]")) return false;
+	}
+	return true;
+}
+function checkLength(x, name) {
+	if (isNum(x) && x >= 0) return true;
+	return fail(ASVG.CoordinateError, name+" must be a number >= 0, not "+x, x);
+}
+function checkRange(min, max, name) {
+	if (isNum(min) && isNum(max) && min < max) return true;
+	return fail(ASVG.RangeError, name+" must be numbers with min < max, not "+min+", "+max, [min, max]);
 }
 //clog(gebi("content"))
 //debug.info(gebi("content"));
@@ -341,15 +974,15 @@ var origin;
 var cx, cy;
 var dx,dy,labels,gdx,gdy;
 var xAxisVble = "x", yAxisVble = "y";
-var doAxes = 1;
 var showYaxis = 1;
-var doGrids = 1;
 var boardWidth, boardHeight, boardWidthToHeight=1, boardLeft, boardTop;
 var xMin, yMin, xMax, yMax, xunitlength, yunitlength;
+var actualXmin, actualXmax, actualYmin, actualYmax;
 var xmin, xmax, ymin, ymax, 
 		xgrid, ygrid, xtick, ytick, initialized, opacity, stroke, below;
 var elementIdNum = 999; 
-var padding = 20;
+var defaultPadding = 20;
+var padding = defaultPadding;
 var curveLength = 0;
 var txtLabelsClass = "intmath"; // For numbers. For axisVbls, uses "intmathItalic"
 var dragCnt = 0;
@@ -358,6 +991,8 @@ var plotBeyondYVis = true;
 var goToExtremities = false; // !!!!!!!!
 var draggablePtsOnLine = false;
 var labelDraggablePts = false;
+var layer = null; // <g> of the Path currently being rendered
+var pathDefaults = null; // its board's resolved ASVG pathDefaults
 	
 ///////////////////////////////////////
 //
@@ -452,112 +1087,1217 @@ function ran(a,b,n) {
 	return chop((b+Math.pow(10,-n)-a)*Math.random()+a,n);
 }
 
-// Source: http://mtdevans.com/2013/05/fourth-order-runge-kutta-algorithm-in-javascript-with-demo/
-// Converted from Python version: http://doswa.com/2009/01/02/fourth-order-runge-kutta-numerical-integration.html
-function rk4(x, v, a, dt) {
-	// Returns final (position, velocity) array after time dt has passed.
-	//        x: initial position
-	//        v: initial velocity
-	//        a: acceleration function a(x,v,dt) (must be callable)
-	//        dt: timestep
-//console.log("x="+x);  
-	var x1 = x;
-	var v1 = v;
-	var a1 = a(x1, v1, 0);
-
-	var x2 = x + 0.5*v1*dt;
-	var v2 = v + 0.5*a1*dt;
-	var a2 = a(x2, v2, dt/2);
-
-	var x3 = x + 0.5*v2*dt;
-	var v3 = v + 0.5*a2*dt;
-	var a3 = a(x3, v3, dt/2);
-
-	var x4 = x + v3*dt;
-	var v4 = v + a3*dt;
-	var a4 = a(x4, v4, dt);
-
-	var xf = x + (dt/6)*(v1 + 2*v2 + 2*v3 + v4);
-	var vf = v + (dt/6)*(a1 + 2*a2 + 2*a3 + a4);
-//console.log(xf);
-	return [xf, vf];
-}
-
-function pythag(p,q) {
-	//console.log(p,q)
-	return Math.sqrt( Math.pow(q[0] - p[0], 2) + Math.pow(q[1] - p[1], 2) );
-}
-
-// Source: http://stackoverflow.com/questions/5736398/how-to-calculate-the-svg-path-for-an-arc-of-a-circle
-function polarToCartesian(centerX, centerY, radius, angleInDegrees) {
-	var angleInRadians = (-angleInDegrees) * Math.PI / 180.0;
-	return {
-	x: centerX + (radius * Math.cos(angleInRadians)),
-	y: centerY + (radius * Math.sin(angleInRadians))
-	};
-}
-
-// Source: http://stackoverflow.com/questions/237104/how-do-i-check-if-an-array-includes-an-object-in-javascript
-function contains(arr, obj) {
-		for (var i = 0; i < arr.length; i++) {
-				if (arr[i][0] === obj[0] && arr[i][1] === obj[1]) {
-						return true;
-				}
-		}
-		return false;
-}
+// Names available to formulas besides those on Math
+var mathScope = {pi:pi, ln:ln, e:e, arcsin:arcsin, arccos:arccos, arctan:arctan,
+	sin:sin, cos:cos, tan:tan, sec:sec, csc:csc, cot:cot, logten:logten,
+	arcsec:arcsec, arccsc:arccsc, arccot:arccot, sinh:sinh, cosh:cosh, tanh:tanh,
+	sech:sech, csch:csch, coth:coth, arcsinh:arcsinh, arccosh:arccosh, arctanh:arctanh,
+	arcsech:arcsech, arccsch:arccsch, arccoth:arccoth, sign:sign,
+	factorial:factorial, C:C, chop:chop, ran:ran};
+this.mathScope = mathScope;
+
+// Math members formulas may use. Names in mathScope win over these.
+var mathMembers = ["abs","acos","acosh","asin","asinh","atan","atan2","atanh",
+	"cbrt","ceil","cos","cosh","exp","expm1","floor","hypot","log","log10","log1p",
+	"log2","max","min","pow","round","sign","sin","sinh","sqrt","tan","tanh","trunc",
+	"E","PI","LN2","LN10","LOG2E","LOG10E","SQRT1_2","SQRT2"];
+var formulaScope = Object.create(null);
+mathMembers.forEach(function(name) { formulaScope[name] = Math[name]; });
+Object.assign(formulaScope, mathScope);
 
 ///////////////////////////////////////
 //
-// Board graphing functions
+// Formula parser and compiler
+//
+// Formulas are ASCIIMath-style: 2x^2 - 3x + 1, sin^2 x, |x-1|, n!,
+// e^(-x/2), sin^-1 x. parseFormula() turns one into a tree of nodes, each
+// with pos, its character offset in the formula:
+//   {type:"number", value}, {type:"name", name},
+//   {type:"unary", op:"-", arg}, {type:"binary", op:"+-*/^", left, right},
+//   {type:"call", name, args}
+// compile() turns the tree into nested closures, never eval or the Function
+// constructor, so the only names a formula can reach are its own variables
+// and those in formulaScope.
+//
+// Precedence, loosest first: + -, then * / and implicit multiplication,
+// then unary minus, then ^ (right associative), then !. A function written
+// without brackets takes the implicit product after it, so sin 2x is
+// sin(2x) but sin x cos x is sin(x)cos(x).
 //
 ///////////////////////////////////////
 
-function makeSVG(tag, attrs, eleId) { 
-	var el= document.createElementNS('http://www.w3.org/2000/svg', tag);
-	for (var k in attrs) {  
-		if("undefined" != typeof(attrs[k]) ) {
-			el.setAttribute(k, attrs[k]);
-//console.log(attrs[k])     
-		}
-	}
-	gebi(eleId).appendChild(el);
-	return el;
+// log is base 10 in formulas, ln is natural
+formulaScope.log = logten;
+
+function formulaError(message, position) {
+	var err = new ASVG.ExpressionError(message);
+	err.position = position;
+	return err;
 }
 
-function use(id, svgID, attrs) {  
-	var useElem = document.createElementNS('http://www.w3.org/2000/svg', 'use');
-	useElem.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', "#"+id);
-	for (var k in attrs) {  
-		if("undefined" != typeof(attrs[k]) ) {
-			useElem.setAttribute(k, attrs[k]);
+// Names are matched longest first, so "sinx" reads as sin x and "exp" is not
+// e*x*p. Letters that start no known name are one-letter names, so "ab" is a*b.
+// The symbols cpi and ctheta read as pi and theta.
+var symbolNames = {"\u03C0":"pi", "\u03B8":"theta"};
+
+function tokenizeFormula(src, names) {
+	var tokens = [], i = 0, ch, m, k;
+	names = names.slice().sort(function(a, b) { return b.length-a.length; });
+	while (i < src.length) {
+		ch = src.charAt(i);
+		if (/\s/.test(ch)) {
+			i++;
+		} else if ((m = /^(\d+\.?\d*|\.\d+)/.exec(src.slice(i)))) {
+			tokens.push({type:"number", value:parseFloat(m[1]), pos:i});
+			i += m[1].length;
+		} else if (symbolNames[ch]) {
+			tokens.push({type:"name", value:symbolNames[ch], pos:i});
+			i++;
+		} else if (/[A-Za-z]/.test(ch)) {
+			for (k = 0; k < names.length && src.indexOf(names[k], i) != i; k++);
+			var name = (k < names.length ? names[k] : ch);
+			tokens.push({type:"name", value:name, pos:i});
+			i += name.length;
+		} else if ("+-*/^!(),|".indexOf(ch) != -1) {
+			tokens.push({type:"op", value:ch, pos:i});
+			i++;
+		} else {
+			throw formulaError("unexpected \""+ch+"\"", i);
 		}
 	}
-	gebi(svgID).appendChild(useElem);
+	tokens.push({type:"end", value:"end of formula", pos:src.length});
+	return tokens;
 }
 
-function removeEle(ele) {
-	if(gebi(ele)) {
-		gebi(ele).parentNode.removeChild(gebi(ele));
-	} else if (document.getElementsByClassName(ele)[0]) {
-		document.getElementsByClassName(ele)[0].parentNode.removeChild(document.getElementsByClassName(ele)[0]);
+// vars are the formula's variables; they win over names in scope.
+function parseFormula(src, vars, scope) {
+	if (typeof src != "string") throw formulaError("formula must be a string", 0);
+	vars = vars || [];
+	scope = scope || formulaScope;
+	var names = vars.slice();
+	for (var name in scope) names.push(name);
+	var tokens = tokenizeFormula(src, names);
+	var pos = 0, absDepth = 0;
+
+	function peek(value) {
+		return tokens[pos].type == "op" && tokens[pos].value == value;
 	}
-}
-
-//////////////////////////////////////
-//
-// For cases where script refers back to a previous board on page
-//
-/////////////////////////////////////
-function setBoardParams(brdID) {
-//console.log(svgID)  
-	
-	
-	/*** deprecated **
-	
-//console.log(boardPropsArr)  
-	svgID = brdID+"SVG";
-	xmin = boardPropsArr[svgID+"xMin"];
+	function expect(value) {
+		if (!peek(value)) throw unexpected();
+		pos++;
+	}
+	function unexpected() {
+		var tok = tokens[pos];
+		if (tok.type == "end") return formulaError("unexpected end of formula", tok.pos);
+		return formulaError("unexpected \""+tok.value+"\"", tok.pos);
+	}
+	function isFunction(tok) {
+		return tok.type == "name" && vars.indexOf(tok.value) == -1 && typeof scope[tok.value] == "function";
+	}
+	// Whether the next token can start a factor of an implicit product.
+	// Inside |...| a bar closes rather than opens.
+	function startsFactor() {
+		var tok = tokens[pos];
+		return tok.type == "number" || tok.type == "name" || peek("(") || (peek("|") && absDepth == 0);
+	}
+	function binary(op, left, right, at) {
+		return {type:"binary", op:op, left:left, right:right, pos:at};
+	}
+	function sum() {
+		var node = product();
+		while (peek("+") || peek("-")) {
+			var tok = tokens[pos++];
+			node = binary(tok.value, node, product(), tok.pos);
+		}
+		return node;
+	}
+	function product() {
+		var node = unary(), tok;
+		for (;;) {
+			tok = tokens[pos];
+			if (peek("*") || peek("/")) {
+				pos++;
+				node = binary(tok.value, node, unary(), tok.pos);
+			} else if (startsFactor()) {
+				node = binary("*", node, power(), tok.pos);
+			} else {
+				return node;
+			}
+		}
+	}
+	function unary() {
+		if (peek("-")) {
+			var at = tokens[pos++].pos;
+			return {type:"unary", op:"-", arg:unary(), pos:at};
+		}
+		if (peek("+")) pos++;
+		return power();
+	}
+	function power() {
+		var node = postfix();
+		if (peek("^")) {
+			var at = tokens[pos++].pos;
+			node = binary("^", node, unary(), at);
+		}
+		return node;
+	}
+	function postfix() {
+		var node = primary();
+		while (peek("!")) {
+			node = {type:"call", name:"factorial", args:[node], pos:tokens[pos++].pos};
+		}
+		return node;
+	}
+	// Brackets reset the bar depth, so |(2|x|)| reads as expected. Only
+	// function arguments are lists.
+	function bracketed(list) {
+		var saved = absDepth;
+		absDepth = 0;
+		pos++;
+		var args = [sum()];
+		while (list && peek(",")) {
+			pos++;
+			args.push(sum());
+		}
+		expect(")");
+		absDepth = saved;
+		return args;
+	}
+	function primary() {
+		var tok = tokens[pos];
+		if (tok.type == "number") {
+			pos++;
+			return {type:"number", value:tok.value, pos:tok.pos};
+		}
+		if (isFunction(tok)) return application();
+		if (tok.type == "name") {
+			pos++;
+			return {type:"name", name:tok.value, pos:tok.pos};
+		}
+		if (peek("(")) return bracketed(false)[0];
+		if (peek("|")) {
+			pos++;
+			absDepth++;
+			var node = sum();
+			expect("|");
+			absDepth--;
+			return {type:"call", name:"abs", args:[node], pos:tok.pos};
+		}
+		throw unexpected();
+	}
+	// sin x, sin(x), sin^2 x (= (sin x)^2), sin^-1 x (= arcsin x)
+	function application() {
+		var tok = tokens[pos++], name = tok.value, exponent = null, args;
+		if (peek("^")) {
+			pos++;
+			exponent = unary();
+			if (exponent.type == "unary" && exponent.arg.type == "number" && exponent.arg.value == 1) {
+				name = "arc"+name;
+				if (typeof scope[name] != "function") throw formulaError("no inverse for "+tok.value, tok.pos);
+				exponent = null;
+			}
+		}
+		if (peek("(")) {
+			args = bracketed(true);
+		} else if (startsFactor() || peek("-")) {
+			var arg = unary();
+			while (startsFactor() && !isFunction(tokens[pos])) {
+				arg = binary("*", arg, power(), tokens[pos].pos);
+			}
+			args = [arg];
+		} else {
+			throw formulaError("missing argument for "+tok.value, tokens[pos].pos);
+		}
+		var node = {type:"call", name:name, args:args, pos:tok.pos};
+		return (exponent == null ? node : binary("^", node, exponent, tok.pos));
+	}
+
+	if (tokens[0].type == "end") throw formulaError("empty formula", 0);
+	var tree = sum();
+	if (tokens[pos].type != "end") throw unexpected();
+	return tree;
+}
+this.parseFormula = parseFormula;
+
+var binaryOps = {
+	"+": function(a, b) { return a+b; },
+	"-": function(a, b) { return a-b; },
+	"*": function(a, b) { return a*b; },
+	"/": function(a, b) { return a/b; },
+	"^": Math.pow
+};
+
+// vars lists the variable names; the closure takes their values as an array.
+function compileNode(node, vars, scope) {
+	switch (node.type) {
+		case "number":
+			var value = node.value;
+			return function() { return value; };
+		case "name":
+			var k = vars.indexOf(node.name);
+			if (k != -1) return function(args) { return args[k]; };
+			var constant = scope[node.name];
+			if (typeof constant != "number") throw formulaError("unknown name \""+node.name+"\"", node.pos);
+			return function() { return constant; };
+		case "unary":
+			var arg = compileNode(node.arg, vars, scope);
+			return function(args) { return -arg(args); };
+		case "binary":
+			var op = binaryOps[node.op];
+			var left = compileNode(node.left, vars, scope), right = compileNode(node.right, vars, scope);
+			return function(args) { return op(left(args), right(args)); };
+		case "call":
+			var fn = scope[node.name];
+			if (typeof fn != "function") throw formulaError("unknown function \""+node.name+"\"", node.pos);
+			var params = node.args.map(function(n) { return compileNode(n, vars, scope); });
+			if (params.length == 1) {
+				var param = params[0];
+				return function(args) { return fn(param(args)); };
+			}
+			return function(args) {
+				return fn.apply(null, params.map(function(p) { return p(args); }));
+			};
+	}
+	throw formulaError("unknown node type "+node.type, node.pos);
+}
+
+// Reports a parse or compile error against the whole formula.
+function formulaFailed(fun, err) {
+	if (err.position === undefined) throw err;
+	var message = "Cannot read expression \""+fun+"\": "+err.message+" at position "+err.position;
+	ASVG.report(new ASVG.ExpressionError(message, {boardId:brdID, value:fun, position:err.position}));
+	return null;
+}
+
+// Turns a formula in vble (comma separated names) into a function of them.
+// Other names come from scope, by default the current board's.
+function compile(fun, vble, scope) {
+	if (typeof fun == "number") return function() { return fun; };
+	if (typeof fun != "string") {
+		fail(ASVG.ExpressionError, "Expression must be a string or number, not "+fun, fun);
+		return null;
+	}
+	if (scope == null) scope = boardScope();
+	var vars = (vble == "" ? [] : vble.split(",")), body;
+	try {
+		body = compileNode(parseFormula(fun, vars, scope), vars, scope);
+	} catch (err) {
+		return formulaFailed(fun, err);
+	}
+	return function() { return body(arguments); };
+}
+
+// The variable of a formula for plot(): "y" when it uses y and not x,
+// else "x", with names the board defines not counting as variables.
+function plotVariable(fun) {
+	var scope = boardScope(), tree;
+	var vars = ["x", "y"].filter(function(v) { return !(v in scope); });
+	try {
+		tree = parseFormula(fun, vars, scope);
+	} catch (err) {
+		return "x"; // compile() reports it
+	}
+	return (vars.indexOf("y") > -1 && dependsOn(tree, "y") && !dependsOn(tree, "x") ? "y" : "x");
+}
+
+// Compiles "lhs = rhs" (or another of the relations allowed) into
+// {fun, relation}, where fun is lhs - rhs as a function of vble.
+// The symbols ≤ and ≥ read as <= and >=.
+var relationNames = {"\u2264":"<=", "\u2265":">="};
+
+function compileRelation(src, vble, allowed) {
+	var expected = allowed.map(function(r) { return "\""+r+"\""; }).join(" or ");
+	if (typeof src != "string") {
+		fail(ASVG.ExpressionError, "Expected a formula with "+expected+", not "+src, src);
+		return null;
+	}
+	var scope = boardScope();
+	var vars = vble.split(","), found = [], m, re = /<=|>=|\u2264|\u2265|=|<|>/g;
+	while ((m = re.exec(src))) found.push(m);
+	try {
+		if (found.length != 1) {
+			throw formulaError("expected "+expected+" between two sides", (found.length ? found[1].index : src.length));
+		}
+		var at = found[0].index, offset = at+found[0][0].length, right;
+		var relation = relationNames[found[0][0]] || found[0][0];
+		if (allowed.indexOf(relation) == -1) throw formulaError("expected "+expected+", not \""+relation+"\"", at);
+		var left = compileNode(parseFormula(src.slice(0, at), vars, scope), vars, scope);
+		try {
+			right = compileNode(parseFormula(src.slice(offset), vars, scope), vars, scope);
+		} catch (err) {
+			if (err.position !== undefined) err.position += offset;
+			throw err;
+		}
+	} catch (err) {
+		return formulaFailed(src, err);
+	}
+	return {relation:relation, fun:function() { return left(arguments)-right(arguments); }};
+}
+
+///////////////////////////////////////
+//
+// Board definitions
+//
+// define(divID, "a", 2) and define(divID, "f(x)", "a x^2 + 1") add names
+// that the board's formulas can use, on top of formulaScope. The board's
+// scope is rebuilt from all its definitions, in the order they were first
+// made, whenever one changes, so f above follows a later define("a", 3).
+// A defined function keeps its formula (params, tree) for derivatives.
+//
+///////////////////////////////////////
+
+var definitionRE = /^\s*([A-Za-z]\w*)\s*(?:\(\s*([A-Za-z]\w*(?:\s*,\s*[A-Za-z]\w*)*)\s*\))?\s*$/;
+
+function boardScope() {
+	var props = brdPropsArr[brdID];
+	return (props != null && props["scope"] != null ? props["scope"] : formulaScope);
+}
+
+function buildScope(definitions) {
+	var scope = Object.create(formulaScope);
+	for (var name in definitions) {
+		var d = definitions[name];
+		if (d.params == null) {
+			var value = d.value;
+			if (typeof value == "string") {
+				var f = compile(value, "", scope);
+				if (f == null) return null;
+				value = f();
+			}
+			if (!isNum(value)) {
+				fail(ASVG.ExpressionError, name+" must be a number or formula, not "+d.value, d.value);
+				return null;
+			}
+			scope[name] = value;
+		} else {
+			var fn = compile(d.value, d.params.join(","), scope);
+			if (fn == null) return null;
+			fn.params = d.params;
+			fn.tree = (typeof d.value == "string" ? parseFormula(d.value, d.params, scope) : numNode(d.value));
+			scope[name] = fn;
+		}
+	}
+	return scope;
+}
+
+this.define = function(divID, head, value) {
+	var prevBrdID = brdID;
+	setBoardParams(divID);
+	try {
+		var m = definitionRE.exec(head);
+		if (typeof head != "string" || m == null) {
+			return fail(ASVG.ExpressionError, "Cannot define \""+head+"\": expected a name such as a or f(x)", head);
+		}
+		if (m[1] in formulaScope) {
+			return fail(ASVG.ExpressionError, "Cannot redefine built-in name "+m[1], head);
+		}
+		var definitions = Object.assign({}, brdPropsArr[divID]["definitions"]);
+		definitions[m[1]] = {params:(m[2] == null ? null : m[2].split(/\s*,\s*/)), value:value};
+		var scope = buildScope(definitions);
+		if (scope == null) return false;
+		brdPropsArr[divID]["definitions"] = definitions;
+		brdPropsArr[divID]["scope"] = scope;
+		return true;
+	} finally {
+		restoreBoard(prevBrdID, divID);
+	}
+}
+
+// Replaces calls to defined functions by their formulas, so that
+// differentiate() sees only built-in functions.
+function expandDefinitions(node, scope) {
+	switch (node.type) {
+		case "unary":
+			return {type:"unary", op:"-", arg:expandDefinitions(node.arg, scope), pos:node.pos};
+		case "binary":
+			return {type:"binary", op:node.op, left:expandDefinitions(node.left, scope),
+				right:expandDefinitions(node.right, scope), pos:node.pos};
+		case "call":
+			var args = node.args.map(function(arg) { return expandDefinitions(arg, scope); });
+			var fn = scope[node.name];
+			if (fn == null || fn.tree == null) return {type:"call", name:node.name, args:args, pos:node.pos};
+			var values = {};
+			fn.params.forEach(function(param, i) { values[param] = args[i]; });
+			return substitute(expandDefinitions(fn.tree, scope), values);
+	}
+	return node;
+}
+
+///////////////////////////////////////
+//
+// Symbolic differentiation
+//
+// derivative() works on the tree from parseFormula() and returns a formula
+// string that parseFormula() reads back. The node constructors below
+// simplify as they build (2*1 --> 2, x+0 --> x, x^1 --> x, --x --> x, ...),
+// so results stay close to what one would write by hand.
+//
+///////////////////////////////////////
+
+function numNode(value) {
+	return {type:"number", value:value};
+}
+function isValue(node, value) {
+	return node.type == "number" && (value === undefined || node.value == value);
+}
+function sameNode(a, b) {
+	if (a.type != b.type) return false;
+	switch (a.type) {
+		case "number": return a.value == b.value;
+		case "name": return a.name == b.name;
+		case "unary": return sameNode(a.arg, b.arg);
+		case "binary": return a.op == b.op && sameNode(a.left, b.left) && sameNode(a.right, b.right);
+		case "call": return a.name == b.name && a.args.length == b.args.length &&
+			a.args.every(function(arg, i) { return sameNode(arg, b.args[i]); });
+	}
+	return false;
+}
+function dependsOn(node, v) {
+	switch (node.type) {
+		case "name": return node.name == v;
+		case "unary": return dependsOn(node.arg, v);
+		case "binary": return dependsOn(node.left, v) || dependsOn(node.right, v);
+		case "call": return node.args.some(function(arg) { return dependsOn(arg, v); });
+	}
+	return false;
+}
+// Replaces the names in values (name: node) at once, simplifying as it goes
+function substitute(node, values) {
+	switch (node.type) {
+		case "name": return (Object.prototype.hasOwnProperty.call(values, node.name) ? values[node.name] : node);
+		case "unary": return negNode(substitute(node.arg, values));
+		case "binary": return binaryNode(node.op, substitute(node.left, values), substitute(node.right, values));
+		case "call": return callNode(node.name, node.args.map(function(arg) { return substitute(arg, values); }));
+	}
+	return node;
+}
+
+function isSum(node) {
+	return node.type == "binary" && (node.op == "+" || node.op == "-");
+}
+// [c, rest] with node == c*rest; rest is null for a number
+function splitConstant(node) {
+	if (isValue(node)) return [node.value, null];
+	if (node.type == "binary" && node.op == "*" && isValue(node.left)) return [node.left.value, node.right];
+	return [1, node];
+}
+// Flattens factor*node into [coefficient, term] pairs, merging like terms
+function sumTerms(node, factor, terms) {
+	if (isSum(node)) {
+		sumTerms(node.left, factor, terms);
+		return sumTerms(node.right, (node.op == "+" ? factor : -factor), terms);
+	}
+	if (node.type == "unary") return sumTerms(node.arg, -factor, terms);
+	var parts = splitConstant(node);
+	for (var i = 0; i < terms.length; i++) {
+		var rest = terms[i][1];
+		if (rest == parts[1] || (rest != null && parts[1] != null && sameNode(rest, parts[1]))) {
+			terms[i][0] += factor*parts[0];
+			return terms;
+		}
+	}
+	terms.push([factor*parts[0], parts[1]]);
+	return terms;
+}
+// Rebuilds a sum from sumTerms(), constant last: x^2 - 2x + 1
+function sumNode(terms) {
+	var node = null;
+	terms = terms.filter(function(t) { return t[0] != 0 && t[1] != null; })
+		.concat(terms.filter(function(t) { return t[0] != 0 && t[1] == null; }));
+	var k = terms.findIndex(function(t) { return t[0] > 0; });
+	if (k > 0) terms.unshift(terms.splice(k, 1)[0]);
+	terms.forEach(function(t) {
+		var term = (t[1] == null ? numNode(Math.abs(t[0])) : mulNode(numNode(Math.abs(t[0])), t[1]));
+		if (node == null) node = (t[0] < 0 ? negNode(term) : term);
+		else node = {type:"binary", op:(t[0] < 0 ? "-" : "+"), left:node, right:term};
+	});
+	return node || numNode(0);
+}
+
+function negNode(a) {
+	if (isValue(a)) return numNode(-a.value);
+	if (a.type == "unary") return a.arg;
+	if (isSum(a)) return sumNode(sumTerms(a, -1, []));
+	if (a.type == "binary" && a.op == "*" && isValue(a.left)) return mulNode(numNode(-a.left.value), a.right);
+	return {type:"unary", op:"-", arg:a};
+}
+function addNode(a, b) {
+	return sumNode(sumTerms(b, 1, sumTerms(a, 1, [])));
+}
+function subNode(a, b) {
+	return sumNode(sumTerms(b, -1, sumTerms(a, 1, [])));
+}
+// x, x^2
+function isMonomial(node) {
+	if (node.type == "binary" && node.op == "^") return node.left.type == "name" && isValue(node.right);
+	return node.type == "name";
+}
+// 2^x
+function isExponential(node) {
+	return node.type == "binary" && node.op == "^" && isValue(node.left);
+}
+// The leftmost factor of a product, and the product with it replaced by f(it)
+function firstFactor(node) {
+	return (node.type == "binary" && node.op == "*" ? firstFactor(node.left) : node);
+}
+function withFirstFactor(node, f) {
+	return (node.type == "binary" && node.op == "*" ? mulNode(withFirstFactor(node.left, f), node.right) : f(node));
+}
+// Constants move to the front and merge: x*2*3 --> 6x, -1*x --> -x, and
+// multiply out sums: 2(x+1) --> 2x + 2. Fractions collect: a*(p/q) --> ap/q.
+// Equal bases merge their exponents: x*x^2 --> x^3, 2*2^x --> 2^(x+1).
+// Powers of numbers come first, then powers of names, then other factors:
+// sin(x) x 2^x --> 2^x x sin(x).
+function mulNode(a, b) {
+	if (isValue(a) && isValue(b)) return numNode(a.value*b.value);
+	if (isValue(b)) return mulNode(b, a);
+	if (isValue(a, 0)) return numNode(0);
+	if (isValue(a, 1)) return b;
+	if (isValue(a, -1)) return negNode(b);
+	if (isValue(a) && isSum(b)) return sumNode(sumTerms(b, a.value, []));
+	if (isValue(a) && isExponential(firstFactor(b)) && isValue(firstFactor(b).left, a.value)) {
+		return withFirstFactor(b, function(p) { return powNode(a, addNode(p.right, numNode(1))); });
+	}
+	if (a.type == "unary") return negNode(mulNode(a.arg, b));
+	if (b.type == "unary") return negNode(mulNode(a, b.arg));
+	if (a.type == "binary" && a.op == "/") return divNode(mulNode(a.left, b), a.right);
+	if (b.type == "binary" && b.op == "/") return divNode(mulNode(a, b.left), b.right);
+	if (isValue(a) && b.type == "binary" && b.op == "*" && isValue(b.left)) {
+		return mulNode(numNode(a.value*b.left.value), b.right);
+	}
+	if (b.type == "binary" && b.op == "*" && isValue(b.left)) {
+		return mulNode(b.left, mulNode(a, b.right));
+	}
+	if (a.type == "binary" && a.op == "*" && isValue(a.left)) {
+		return mulNode(a.left, mulNode(a.right, b));
+	}
+	var aBase = (a.type == "binary" && a.op == "^" ? a.left : a);
+	var bBase = (b.type == "binary" && b.op == "^" ? b.left : b);
+	if (!isValue(aBase) && sameNode(aBase, bBase)) {
+		var aExp = (aBase == a ? numNode(1) : a.right);
+		var bExp = (bBase == b ? numNode(1) : b.right);
+		return powNode(aBase, addNode(aExp, bExp));
+	}
+	if (isExponential(b) && !isExponential(a) && !isValue(a) && !(a.type == "binary" && a.op == "*")) return mulNode(b, a);
+	if (isMonomial(b) && !isMonomial(a) && !isExponential(a) && !isValue(a) && !(a.type == "binary" && a.op == "*")) {
+		return mulNode(b, a);
+	}
+	return {type:"binary", op:"*", left:a, right:b};
+}
+function gcd(a, b) {
+	return (b == 0 ? Math.abs(a) : gcd(b, a%b));
+}
+// Nested fractions flatten and integer constants cancel: 6x/(4y) --> 3x/(2y)
+function divNode(a, b) {
+	if (isValue(b, 1)) return a;
+	if (isValue(a, 0) && !isValue(b, 0)) return numNode(0);
+	if (a.type == "unary") return negNode(divNode(a.arg, b));
+	if (b.type == "unary") return negNode(divNode(a, b.arg));
+	if (a.type == "binary" && a.op == "/") return divNode(a.left, mulNode(a.right, b));
+	if (b.type == "binary" && b.op == "/") return divNode(mulNode(a, b.right), b.left);
+	if (sameNode(a, b)) return numNode(1);
+	var p = splitConstant(a), q = splitConstant(b);
+	if (Number.isInteger(p[0]) && Number.isInteger(q[0]) && q[0] != 0) {
+		var d = gcd(p[0], q[0])*(q[0] < 0 ? -1 : 1);
+		if (d != 1) {
+			var num = (p[1] == null ? numNode(p[0]/d) : mulNode(numNode(p[0]/d), p[1]));
+			var den = (q[1] == null ? numNode(q[0]/d) : mulNode(numNode(q[0]/d), q[1]));
+			return divNode(num, den);
+		}
+	}
+	return {type:"binary", op:"/", left:a, right:b};
+}
+function powNode(a, b) {
+	if (isValue(b, 0)) return numNode(1);
+	if (isValue(b, 1)) return a;
+	if (isValue(a, 1)) return numNode(1);
+	if (isValue(a) && isValue(b) && Number.isInteger(b.value) && b.value > 0) {
+		return numNode(Math.pow(a.value, b.value));
+	}
+	if (a.type == "binary" && a.op == "^" && isValue(a.right) && isValue(b) &&
+			Number.isInteger(a.right.value) && Number.isInteger(b.value)) {
+		return powNode(a.left, numNode(a.right.value*b.value));
+	}
+	// (2x)^2 --> 4x^2
+	if (a.type == "binary" && a.op == "*" && isValue(a.left) && isValue(b) && Number.isInteger(b.value)) {
+		return mulNode(powNode(a.left, b), powNode(a.right, b));
+	}
+	return {type:"binary", op:"^", left:a, right:b};
+}
+var nodeBuilders = {"+":addNode, "-":subNode, "*":mulNode, "/":divNode, "^":powNode};
+function binaryNode(op, a, b) {
+	return nodeBuilders[op](a, b);
+}
+function callNode(name, args) {
+	if (name == "ln" && args[0].type == "name" && args[0].name == "e") return numNode(1);
+	return {type:"call", name:name, args:args};
+}
+function simplifyNode(node) {
+	return substitute(node, {});
+}
+
+// d/du of each function of one argument u. Math's own names (asin, ...)
+// are aliases of the ones here.
+var derivativeRules = {
+	sin: "cos(u)", cos: "-sin(u)", tan: "sec(u)^2",
+	sec: "sec(u) tan(u)", csc: "-csc(u) cot(u)", cot: "-csc(u)^2",
+	arcsin: "1/sqrt(1-u^2)", arccos: "-1/sqrt(1-u^2)", arctan: "1/(1+u^2)",
+	arcsec: "1/(|u| sqrt(u^2-1))", arccsc: "-1/(|u| sqrt(u^2-1))", arccot: "-1/(1+u^2)",
+	sinh: "cosh(u)", cosh: "sinh(u)", tanh: "sech(u)^2",
+	sech: "-sech(u) tanh(u)", csch: "-csch(u) coth(u)", coth: "-csch(u)^2",
+	arcsinh: "1/sqrt(u^2+1)", arccosh: "1/sqrt(u^2-1)", arctanh: "1/(1-u^2)",
+	arcsech: "-1/(u sqrt(1-u^2))", arccsch: "-1/(|u| sqrt(1+u^2))", arccoth: "1/(1-u^2)",
+	exp: "exp(u)", ln: "1/u", log: "1/(u ln(10))", logten: "1/(u ln(10))",
+	log2: "1/(u ln(2))", log1p: "1/(1+u)", expm1: "exp(u)",
+	sqrt: "1/(2sqrt(u))", cbrt: "1/(3cbrt(u)^2)", abs: "sign(u)", sign: "0"
+};
+var derivativeAliases = {asin:"arcsin", acos:"arccos", atan:"arctan", asinh:"arcsinh",
+	acosh:"arccosh", atanh:"arctanh", log10:"logten"};
+var derivativeTrees = {};
+
+function differentiate(node, v) {
+	if (!dependsOn(node, v)) return numNode(0);
+	var a, b, da, db;
+	switch (node.type) {
+		case "name":
+			return numNode(1);
+		case "unary":
+			return negNode(differentiate(node.arg, v));
+		case "binary":
+			a = node.left;
+			b = node.right;
+			da = differentiate(a, v);
+			db = differentiate(b, v);
+			switch (node.op) {
+				case "+": return addNode(da, db);
+				case "-": return subNode(da, db);
+				case "*": return addNode(mulNode(da, b), mulNode(a, db));
+				case "/":
+					if (!dependsOn(b, v)) return divNode(da, b);
+					return divNode(subNode(mulNode(da, b), mulNode(a, db)), powNode(b, numNode(2)));
+				case "^":
+					if (!dependsOn(b, v)) return mulNode(mulNode(b, powNode(a, subNode(b, numNode(1)))), da);
+					if (!dependsOn(a, v)) return mulNode(mulNode(powNode(a, b), callNode("ln", [a])), db);
+					return mulNode(powNode(a, b), addNode(mulNode(db, callNode("ln", [a])), divNode(mulNode(b, da), a)));
+			}
+			break;
+		case "call":
+			if (node.name == "pow" && node.args.length == 2) {
+				return differentiate({type:"binary", op:"^", left:node.args[0], right:node.args[1], pos:node.pos}, v);
+			}
+			var name = derivativeAliases[node.name] || node.name;
+			if (node.args.length != 1 || !derivativeRules[name]) {
+				throw formulaError("cannot differentiate "+node.name, node.pos);
+			}
+			if (!derivativeTrees[name]) derivativeTrees[name] = parseFormula(derivativeRules[name], ["u"]);
+			return mulNode(substitute(derivativeTrees[name], {u:node.args[0]}), differentiate(node.args[0], v));
+	}
+	throw formulaError("cannot differentiate", node.pos);
+}
+
+// Binding strength of each node, for brackets in formatFormula()
+function formulaPrecedence(node) {
+	switch (node.type) {
+		case "number": return (node.value < 0 ? 3 : 5);
+		case "unary": return 3;
+		case "binary": return {"+":1, "-":1, "*":2, "/":2, "^":4}[node.op];
+	}
+	return 5;
+}
+
+// Writes a tree back as a formula, e.g. 2x sin(x) + x^2 cos(x)
+function formatFormula(node) {
+	function wrap(child, minPrecedence) {
+		var st = formatFormula(child);
+		return (formulaPrecedence(child) < minPrecedence ? "("+st+")" : st);
+	}
+	switch (node.type) {
+		case "number":
+			return String(node.value);
+		case "name":
+			return node.name;
+		case "unary":
+			// -x/2 reads the same as -(x/2)
+			return "-"+wrap(node.arg, (node.arg.type == "binary" && (node.arg.op == "*" || node.arg.op == "/") ? 2 : 4));
+		case "call":
+			if (node.name == "abs" && node.args.length == 1) return "|"+formatFormula(node.args[0])+"|";
+			if (node.name == "factorial" && node.args.length == 1) return wrap(node.args[0], 5)+"!";
+			return node.name+"("+node.args.map(formatFormula).join(", ")+")";
+	}
+	var left, right;
+	switch (node.op) {
+		case "+":
+		case "-":
+			left = formatFormula(node.left);
+			// a + -b --> a - b
+			var op = node.op, term = node.right;
+			if (term.type == "unary" || (isValue(term) && term.value < 0)) {
+				op = (op == "+" ? "-" : "+");
+				term = (term.type == "unary" ? term.arg : numNode(-term.value));
+			}
+			right = wrap(term, (formulaPrecedence(term) == 3 ? 4 : (op == "-" ? 2 : 1)));
+			return left+" "+op+" "+right;
+		case "/":
+			return wrap(node.left, 2)+"/"+wrap(node.right, 4);
+		case "^":
+			return wrap(node.left, 5)+"^"+wrap(node.right, 4);
+	}
+	// Implicit multiplication where it reads unambiguously: 2x, 2(x+1),
+	// x sin(x)
+	left = wrap(node.left, 2);
+	right = wrap(node.right, (node.right.type == "binary" && node.right.op == "*" ? 2 : 4));
+	if (/^[\d.]/.test(right) || (node.left.type == "binary" && node.left.op == "/")) return left+"*"+right;
+	var first = node.right;
+	while (first.type == "binary" && (first.op == "*" || first.op == "^")) first = first.left;
+	if (isValue(node.left) && (first.type == "name" || right.charAt(0) == "(")) return left+right;
+	return left+" "+right;
+}
+this.formatFormula = formatFormula;
+
+// The derivative of formula fun with respect to vble, as a formula.
+// Names are checked as compile() checks them, so a typo is reported here.
+// With divID, names the board defines can be used, as in its plots.
+this.derivative = function(fun, vble, divID) {
+	if (vble === undefined) vble = "x";
+	var prevBrdID = brdID;
+	if (divID != null) setBoardParams(divID);
+	try {
+		var scope = (divID == null ? formulaScope : boardScope());
+		var tree = parseFormula(fun, [vble], scope);
+		compileNode(tree, [vble], scope);
+		return formatFormula(simplifyNode(differentiate(expandDefinitions(tree, scope), vble)));
+	} catch (err) {
+		return formulaFailed(fun, err);
+	} finally {
+		if (divID != null) restoreBoard(prevBrdID, divID);
+	}
+}
+
+// The derivative as a function, or null if fun cannot be differentiated.
+// Unlike derivative() this reports nothing, for callers with a fallback.
+function compileDerivative(fun, vble, scope) {
+	if (typeof fun != "string") return null;
+	if (scope == null) scope = boardScope();
+	try {
+		var tree = expandDefinitions(parseFormula(fun, [vble], scope), scope);
+		var body = compileNode(differentiate(tree, vble), [vble], scope);
+	} catch (err) {
+		return null;
+	}
+	return function() { return body(arguments); };
+}
+
+// Source: http://mtdevans.com/2013/05/fourth-order-runge-kutta-algorithm-in-javascript-with-demo/
+// Converted from Python version: http://doswa.com/2009/01/02/fourth-order-runge-kutta-numerical-integration.html
+function rk4(x, v, a, dt) {
+	// Returns final (position, velocity) array after time dt has passed.
+	//        x: initial position
+	//        v: initial velocity
+	//        a: acceleration function a(x,v,dt) (must be callable)
+	//        dt: timestep
+//console.log("x="+x);  
+	var x1 = x;
+	var v1 = v;
+	var a1 = a(x1, v1, 0);
+
+	var x2 = x + 0.5*v1*dt;
+	var v2 = v + 0.5*a1*dt;
+	var a2 = a(x2, v2, dt/2);
+
+	var x3 = x + 0.5*v2*dt;
+	var v3 = v + 0.5*a2*dt;
+	var a3 = a(x3, v3, dt/2);
+
+	var x4 = x + v3*dt;
+	var v4 = v + a3*dt;
+	var a4 = a(x4, v4, dt);
+
+	var xf = x + (dt/6)*(v1 + 2*v2 + 2*v3 + v4);
+	var vf = v + (dt/6)*(a1 + 2*a2 + 2*a3 + a4);
+//console.log(xf);
+	return [xf, vf];
+}
+
+// One RK4 step of y' = f(x,y) from (x,y), of size h. In rk4() terms y is
+// the velocity and f the acceleration, at x plus the time into the step.
+function odeStep(f, x, y, h) {
+	return rk4(x, y, function(p, v, t) { return f(x+t, v); }, h)[1];
+}
+
+function pythag(p,q) {
+	//console.log(p,q)
+	return Math.sqrt( Math.pow(q[0] - p[0], 2) + Math.pow(q[1] - p[1], 2) );
+}
+
+// Source: http://stackoverflow.com/questions/5736398/how-to-calculate-the-svg-path-for-an-arc-of-a-circle
+function polarToCartesian(centerX, centerY, radius, angleInDegrees) {
+	var angleInRadians = (-angleInDegrees) * Math.PI / 180.0;
+	return {
+	x: centerX + (radius * Math.cos(angleInRadians)),
+	y: centerY + (radius * Math.sin(angleInRadians))
+	};
+}
+
+// Source: http://stackoverflow.com/questions/237104/how-do-i-check-if-an-array-includes-an-object-in-javascript
+function contains(arr, obj) {
+		for (var i = 0; i < arr.length; i++) {
+				if (arr[i][0] === obj[0] && arr[i][1] === obj[1]) {
+						return true;
+				}
+		}
+		return false;
+}
+
+///////////////////////////////////////
+//
+// Board graphing functions
+//
+///////////////////////////////////////
+
+function makeSVG(tag, attrs, eleId) { 
+	var el= document.createElementNS('http://www.w3.org/2000/svg', tag);
+	for (var k in attrs) {  
+		if("undefined" != typeof(attrs[k]) ) {
+			el.setAttribute(k, attrs[k]);
+//console.log(attrs[k])     
+		}
+	}
+	if (eleId == svgID) {
+		appendToBoard(el);
+	} else {
+		gebi(eleId).appendChild(el);
+	}
+	return el;
+}
+
+// New nodes go into the <g> of the Path being rendered, if any
+function appendToBoard(el) {
+	(layer != null ? layer : gebi(svgID)).appendChild(el);
+}
+
+function use(id, svgID, attrs) {  
+	var useElem = document.createElementNS('http://www.w3.org/2000/svg', 'use');
+	useElem.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', "#"+id);
+	for (var k in attrs) {  
+		if("undefined" != typeof(attrs[k]) ) {
+			useElem.setAttribute(k, attrs[k]);
+		}
+	}
+	gebi(svgID).appendChild(useElem);
+}
+
+function removeEle(ele) {
+	if(gebi(ele)) {
+		gebi(ele).parentNode.removeChild(gebi(ele));
+	} else if (document.getElementsByClassName(ele)[0]) {
+		document.getElementsByClassName(ele)[0].parentNode.removeChild(document.getElementsByClassName(ele)[0]);
+	}
+}
+
+//////////////////////////////////////
+//
+// Per-call style. Primitives take an optional style object as their last
+// argument, e.g. {stroke:"red", strokeWidth:2, dash:"4 2"}. It overrides
+// ASVG.Config.pathDefaults (or those of the board being drawn on, see
+// drawInto) for that element only. Keys are stroke,
+// strokeWidth, strokeOpacity, dash, dashOffset, opacity, fill, fillOpacity,
+// markers (as the marker variable), className, and any pathDefaults key.
+// Without a style object the board's current style variables apply.
+//
+/////////////////////////////////////
+function callStyle(sty) {
+	if (sty == null) return currentStyle();
+	var d = (pathDefaults == null ? ASVG.Config.pathDefaults : pathDefaults);
+	return {...d,
+		stroke: d.strokeColor,
+		strokeWidth: d.strokeWidth,
+		dash: null,
+		dashOffset: null,
+		fill: d.fillColor,
+		markers: d.markerType,
+		...sty};
+}
+
+function currentStyle() {
+	return {
+		stroke: stroke,
+		strokeWidth: strokewidth,
+		strokeOpacity: strokeopacity,
+		dash: strokedasharray,
+		dashOffset: strokedashoffset,
+		opacity: opacity,
+		fill: fill,
+		fillOpacity: fillopacity,
+		markers: marker,
+		arrowFillColor: arrowfill,
+		axesStrokeColor: axesstroke,
+		dotRadius: dotradius,
+		fontSize: fontsize,
+		gridStrokeColor: gridstroke,
+		markerFillColor: markerfill,
+		markerSize: markersize,
+		markerStroke: markerstroke,
+		markerWidth: markerstrokewidth,
+		textClassName: txtLabelsClass,
+		textColor: fontfill,
+		fontFamily: fontfamily,
+		tickLength: ticklength
+	};
+}
+
+// Stroke and fill attributes of style s, for makeSVG() or setAttrs()
+function styleAttrs(s) {
+	return {
+		"stroke": s.stroke,
+		"stroke-width": s.strokeWidth,
+		"stroke-opacity": s.strokeOpacity,
+		"stroke-dasharray": (s.dash == null ? undefined : s.dash),
+		"stroke-dashoffset": (s.dashOffset == null ? undefined : s.dashOffset),
+		"fill": s.fill,
+		"fill-opacity": s.fillOpacity,
+		"opacity": (s.opacity == null ? undefined : s.opacity),
+		"class": (s.className == null ? undefined : s.className)
+	};
+}
+
+function setAttrs(node, attrs) {
+	for (var k in attrs) {
+		if("undefined" != typeof(attrs[k]) ) {
+			node.setAttribute(k, attrs[k]);
+		}
+	}
+}
+
+//////////////////////////////////////
+//
+// Each board keeps its own current style, so setting e.g. stroke on one
+// board does not carry over to drawing on another.
+//
+/////////////////////////////////////
+function storeBoardStyle(sty) {
+	sty.fontsize = fontsize;
+	sty.fontstyle = fontstyle;
+	sty.fontfamily = fontfamily;
+	sty.fontweight = fontweight;
+	sty.fontstroke = fontstroke;
+	sty.fontfill = fontfill;
+	sty.txtLabelsClass = txtLabelsClass;
+	sty.gridstroke = gridstroke;
+	sty.ticklength = ticklength;
+	sty.stroke = stroke;
+	sty.axesstroke = axesstroke;
+	sty.strokewidth = strokewidth;
+	sty.markerstrokewidth = markerstrokewidth;
+	sty.strokedasharray = strokedasharray;
+	sty.strokedashoffset = strokedashoffset;
+	sty.markerstroke = markerstroke;
+	sty.markerfill = markerfill;
+	sty.markersize = markersize;
+	sty.marker = marker;
+	sty.arrowfill = arrowfill;
+	sty.dotradius = dotradius;
+	sty.dotstrokewidth = dotstrokewidth;
+	sty.segstrokewidth = segstrokewidth;
+	sty.strokeopacity = strokeopacity;
+	sty.fill = fill;
+	sty.fillopacity = fillopacity;
+	sty.opacity = opacity;
+	sty.shaperendering = shaperendering;
+	sty.xAxisVble = xAxisVble;
+	sty.yAxisVble = yAxisVble;
+	sty.showYaxis = showYaxis;
+	sty.goToExtremities = goToExtremities;
+	return sty;
+}
+
+function loadBoardStyle(sty) {
+	fontsize = sty.fontsize;
+	fontstyle = sty.fontstyle;
+	fontfamily = sty.fontfamily;
+	fontweight = sty.fontweight;
+	fontstroke = sty.fontstroke;
+	fontfill = sty.fontfill;
+	txtLabelsClass = sty.txtLabelsClass;
+	gridstroke = sty.gridstroke;
+	ticklength = sty.ticklength;
+	stroke = sty.stroke;
+	axesstroke = sty.axesstroke;
+	strokewidth = sty.strokewidth;
+	markerstrokewidth = sty.markerstrokewidth;
+	strokedasharray = sty.strokedasharray;
+	strokedashoffset = sty.strokedashoffset;
+	markerstroke = sty.markerstroke;
+	markerfill = sty.markerfill;
+	markersize = sty.markersize;
+	marker = sty.marker;
+	arrowfill = sty.arrowfill;
+	dotradius = sty.dotradius;
+	dotstrokewidth = sty.dotstrokewidth;
+	segstrokewidth = sty.segstrokewidth;
+	strokeopacity = sty.strokeopacity;
+	fill = sty.fill;
+	fillopacity = sty.fillopacity;
+	opacity = sty.opacity;
+	shaperendering = sty.shaperendering;
+	xAxisVble = sty.xAxisVble;
+	yAxisVble = sty.yAxisVble;
+	showYaxis = sty.showYaxis;
+	goToExtremities = sty.goToExtremities;
+}
+
+// Page-wide defaults every new board starts from
+var initialStyle = storeBoardStyle({});
+
+//////////////////////////////////////
+//
+// Legacy page variables by their global names, for ASVG.compatibilityMode().
+// Style variables are those of the current board; before any board exists
+// they are the page-wide defaults. Board geometry is read-only.
+//
+/////////////////////////////////////
+var pageVars = {
+	boardWidthToHeight: [function() { return boardWidthToHeight; }, function(v) { boardWidthToHeight = v; }],
+	defaultPadding: [function() { return defaultPadding; }, function(v) { defaultPadding = v; }],
+	xmin: [function() { return xmin; }],
+	xmax: [function() { return xmax; }],
+	ymin: [function() { return ymin; }],
+	ymax: [function() { return ymax; }],
+	xunitlength: [function() { return xunitlength; }],
+	yunitlength: [function() { return yunitlength; }],
+	origin: [function() { return origin; }],
+	brdID: [function() { return brdID; }]
+};
+this.pageVarNames = Object.keys(initialStyle).concat(Object.keys(pageVars));
+
+this.getPageVar = function(name) {
+	if (name in initialStyle) return (brdID == null ? initialStyle : storeBoardStyle({}))[name];
+	return pageVars[name][0]();
+}
+
+this.setPageVar = function(name, value) {
+	if (name in initialStyle) {
+		if (brdID == null) {
+			initialStyle[name] = value;
+		} else {
+			var sty = storeBoardStyle({});
+			sty[name] = value;
+			loadBoardStyle(sty);
+		}
+	} else if (pageVars[name][1] != null) {
+		pageVars[name][1](value);
+	} else {
+		vlog("warn", name + " is read-only");
+	}
+}
+
+//////////////////////////////////////
+//
+// Coordinate transform of a board. toPixel([x,y]) gives the SVG position of
+// world point [x,y] and toWorld([px,py]) is its inverse. scale is pixels
+// per world unit [x,y]; visible is the world rectangle the SVG shows and
+// plot the one plot() works within, as {xMin, xMax, yMin, yMax}.
+// All drawing maps points through the current board's transform, so a
+// board given another (setTransform) draws everything through that.
+//
+/////////////////////////////////////
+function linearTransform(ox, oy, xul, yul, height, visible, plot) {
+	return {
+		type: "linear",
+		scale: [xul, yul],
+		visible: visible,
+		plot: plot,
+		toPixel: function(p) {
+			return [p[0]*xul + ox, height - p[1]*yul - oy];
+		},
+		toWorld: function(q) {
+			return [(q[0] - ox)/xul, (height - q[1] - oy)/yul];
+		}
+	};
+}
+
+// Maps values to axis units and back: log_base on a log axis, identity
+// on a linear one (base null).
+function axisScale(base) {
+	if (base == null) return {to: function(v) { return v; }, from: function(u) { return u; }};
+	var lnBase = Math.log(base);
+	return {
+		to: function(v) { return Math.log(v)/lnBase; },
+		from: function(u) { return Math.pow(base, u); }
+	};
+}
+
+// As linearTransform, with log scaling on the axes whose base in
+// logBase [x,y] is not null. scale is then pixels per power of the base.
+function logTransform(ox, oy, xul, yul, height, visible, plot, logBase) {
+	var u = logBase.map(axisScale);
+	return {
+		type: "log",
+		logBase: logBase,
+		scale: [xul, yul],
+		visible: visible,
+		plot: plot,
+		toPixel: function(p) {
+			return [u[0].to(p[0])*xul + ox, height - u[1].to(p[1])*yul - oy];
+		},
+		toWorld: function(q) {
+			return [u[0].from((q[0] - ox)/xul), u[1].from((height - q[1] - oy)/yul)];
+		}
+	};
+}
+
+var transform = null; // of the current board
+
+// Log base of axis 0 (x) or 1 (y) on the current board, null if linear
+function logBase(axis) {
+	return (transform.logBase == null ? null : transform.logBase[axis]);
+}
+
+// Pixel position of world point p on the current board
+function px(p) {
+	return transform.toPixel(p);
+}
+
+// Pixels per world unit along each axis at p: transform.scale on a linear
+// board, shrinking away from 0 on a log axis
+function pixelsPerUnit(p) {
+	var P = px(p), q = transform.toWorld([P[0]+1, P[1]-1]);
+	return [1/(q[0]-p[0]), 1/(q[1]-p[1])];
+}
+
+// Grid values over the visible range of axis 0 (x) or 1 (y), multiples of
+// step apart; on a log axis the step is in powers of the base
+function gridValues(axis, step) {
+	var vis = transform.visible, u = axisScale(logBase(axis)), list = [];
+	var lo = u.to(axis == 0 ? vis.xMin : vis.yMin), hi = u.to(axis == 0 ? vis.xMax : vis.yMax);
+	for (var k = Math.ceil(lo/step); k*step <= hi; k++) list.push(u.from(k*step));
+	return list;
+}
+
+this.getTransform = function(divID) {
+	return brdPropsArr[divID]["transform"];
+}
+
+this.setTransform = function(divID, t) {
+	brdPropsArr[divID]["transform"] = t;
+	if (brdID == divID) transform = t;
+}
+
+//////////////////////////////////////
+//
+// For cases where script refers back to a previous board on page.
+// Makes id the current board: its coordinate system and style are loaded
+// into the working variables, after saving the style of the board we leave.
+//
+/////////////////////////////////////
+function setBoardParams(id) {
+//console.log(svgID)  
+	
+	
+	/*** deprecated **
+	
+//console.log(boardPropsArr)  
+	svgID = brdID+"SVG";
+	xmin = boardPropsArr[svgID+"xMin"];
 	ymin = boardPropsArr[svgID+"yMin"];
 	xmax = boardPropsArr[svgID+"xMax"];
 	ymax = boardPropsArr[svgID+"yMax"];
@@ -576,8 +2316,13 @@ function setBoardParams(brdID) {
 	/*** latest ***/
 //console.log(brdPropsArr)  
 	
-	// Why this is necessary? (brdID is not global, for some reason)
-	brdID = svgID.replace("SVG", "");
+	if (brdID != null && typeof(brdPropsArr[brdID]) != "undefined") {
+		storeBoardStyle(brdPropsArr[brdID]["style"]);
+	}
+	brdID = id;
+	svgID = brdID+"SVG";
+	boundingDiv = gebi(brdID);
+	theSVG = gebi(svgID);
 //console.log(svgID, brdID, brdPropsArr[brdID]) 
 	xmin = brdPropsArr[brdID]["xMin"];
 	ymin = brdPropsArr[brdID]["yMin"];
@@ -590,16 +2335,54 @@ function setBoardParams(brdID) {
 	xunitlength = brdPropsArr[brdID]["XuL"];
 	yunitlength = brdPropsArr[brdID]["YuL"];
 //console.log(yunitlength)  
-	origin[0] = brdPropsArr[brdID]["ox"];
-	origin[1] = brdPropsArr[brdID]["oy"];
+	origin = [brdPropsArr[brdID]["ox"], brdPropsArr[brdID]["oy"]];
 	padding = brdPropsArr[brdID]["pad"];
 	actualXmin = brdPropsArr[brdID]["actualXmin"];
 	actualXmax = brdPropsArr[brdID]["actualXmax"];
 	actualYmin = brdPropsArr[brdID]["actualYmin"];
 	actualYmax = brdPropsArr[brdID]["actualYmax"];
+	transform = brdPropsArr[brdID]["transform"];
+	loadBoardStyle(brdPropsArr[brdID]["style"]);
 //console.log(brdPropsArr)  
 }
 
+//////////////////////////////////////
+//
+// Retained paths: drawFn runs against board divID with all new SVG nodes
+// going into layerEle, and style objects resolved against defaults (the
+// board's pathDefaults). Returns any HTML label divs it added to the board.
+// The previously current board is current again afterwards.
+//
+/////////////////////////////////////
+this.setBoardParams = setBoardParams;
+
+this.drawInto = function(divID, layerEle, drawFn, defaults) {
+	var prevBrdID = brdID;
+	setBoardParams(divID);
+	var htmlBefore = Array.prototype.slice.call(boundingDiv.children);
+	var htmlAdded;
+	layer = layerEle;
+	pathDefaults = (defaults == null ? null : defaults);
+	try {
+		drawFn();
+	} finally {
+		layer = null;
+		pathDefaults = null;
+		htmlAdded = Array.prototype.filter.call(boundingDiv.children, function(ele) {
+			return htmlBefore.indexOf(ele) == -1;
+		});
+		restoreBoard(prevBrdID, divID);
+	}
+	return htmlAdded;
+}
+
+// Makes board prevBrdID current again after work on board divID
+function restoreBoard(prevBrdID, divID) {
+	if (prevBrdID != null && prevBrdID != divID && typeof(brdPropsArr[prevBrdID]) != "undefined") {
+		setBoardParams(prevBrdID);
+	}
+}
+
 //////////////////////////////////////////////
 //
 // Graph elements
@@ -608,63 +2391,58 @@ function setBoardParams(brdID) {
 
 // Source: http://stackoverflow.com/questions/5736398/how-to-calculate-the-svg-path-for-an-arc-of-a-circle
 // Angles in degrees
-this.angleArc = function(p, radius, startAngle, endAngle, id) { 
+this.angleArc = function(p, radius, startAngle, endAngle, id, sty) { 
+	if (!checkPoint(p, "angleArc center") || !checkLength(radius, "angleArc radius")) return;
 	var node;
 	if (id!=null) node = doc.getElementById(id);
 	if (node==null) {   
-		node = makeSVG("path", {"id":id,
-								"stroke":stroke,
-								"stroke-width": strokewidth,
-								"stroke-opacity":strokeopacity,
-								"fill":fill,
-								"fill-opacity": fillopacity               
-								}, svgID);
+		node = makeSVG("path", {"id":id}, svgID);
 	}
-	var start = polarToCartesian(p[0]*xunitlength+origin[0], p[1]*yunitlength+(boardHeight - origin[1]), radius, startAngle);
-	var end = polarToCartesian(p[0]*xunitlength+origin[0], p[1]*yunitlength+(boardHeight - origin[1]), radius, endAngle);
+	setAttrs(node, styleAttrs(callStyle(sty)));
+	var c = px(p);
+	var start = polarToCartesian(c[0], c[1], radius, startAngle);
+	var end = polarToCartesian(c[0], c[1], radius, endAngle);
 	var largeArcFlag = endAngle - startAngle <= 180 ? "0" : "1";
 	var d = "M"+ (start.x).toFixed(2) + "," + (start.y).toFixed(2) + " " + "A" + radius + "," + radius + " 0 " + largeArcFlag + " 0 " + (end.x).toFixed(2) + "," + (end.y).toFixed(2) + 
-			" L" +  (end.x).toFixed(2) + "," + (end.y).toFixed(2) + " " + p[0]*xunitlength+origin[0] + "," + p[1]*yunitlength+(boardHeight - origin[1]) + " Z";       
+			" L" +  (end.x).toFixed(2) + "," + (end.y).toFixed(2) + " " + c[0].toFixed(2) + "," + c[1].toFixed(2) + " Z";       
 	node.setAttribute("d", d);       
 }
 
-this.arc = function(start,end,radius,id) { // coordinates in cartesian units
-	var node, v;
+this.arc = function(start,end,radius,id,sty) { // coordinates in cartesian units
+	if (!checkPoint(start, "arc start") || !checkPoint(end, "arc end")) return;
+	var node, u, v;
+	var s = callStyle(sty);
+	if (sty == null) s.strokeOpacity = 0.5;
 	if (id!=null) node = doc.getElementById(id);
 	if (radius==null) {
 		v=[end[0]-start[0],end[1]-start[1]];
 		radius = Math.sqrt(v[0]*v[0]+v[1]*v[1]);
 	}
 	if (node==null) {
-	node = makeSVG("path", {"id":id,
-							"fill":fill,
-							"fill-opacity":fillopacity,
-							"stroke-width":strokewidth,
-							"stroke":stroke,
-							"stroke-opacity":0.5,
-							}, svgID);
-	}
-	node.setAttribute("d","M"+(start[0]*xunitlength+origin[0])+","+
-		(boardHeight-start[1]*yunitlength-origin[1])+" A"+radius*xunitlength+","+
-		 radius*yunitlength+" 0 0,0 "+(end[0]*xunitlength+origin[0])+","+
-		(boardHeight-end[1]*yunitlength-origin[1]));
-
-	if (marker=="arrow" || marker=="arrowdot") {
+	node = makeSVG("path", {"id":id}, svgID);
+	}
+	setAttrs(node, styleAttrs(s));
+	var a = px(start), b = px(end);
+	node.setAttribute("d","M"+a[0]+","+a[1]+" A"+radius*transform.scale[0]+","+
+		 radius*transform.scale[1]+" 0 0,0 "+b[0]+","+b[1]);
+
+	if (s.markers=="arrow" || s.markers=="arrowdot") {
 		u = [(end[1]-start[1])/4,(start[0]-end[0])/4];
 		v = [(end[0]-start[0])/2,(end[1]-start[1])/2];
 		v = [start[0]+v[0]+u[0],start[1]+v[1]+u[1]];
 	} else v=[start[0],start[1]];
-	if (marker=="dot" || marker=="arrowdot") {
-		this.ASdot(start,markersize,markerstroke,markerfill);
-		if (marker=="arrowdot") this.arrowhead(v,end);
-		this.ASdot(end,markersize,markerstroke,markerfill);
-	} else if (marker=="arrow") this.arrowhead(v,end);
+	if (s.markers=="dot" || s.markers=="arrowdot") {
+		this.ASdot(start,s.markerSize,s.markerStroke,s.markerFillColor,null,sty);
+		if (s.markers=="arrowdot") this.arrowhead(v,end,undefined,sty);
+		this.ASdot(end,s.markerSize,s.markerStroke,s.markerFillColor,null,sty);
+	} else if (s.markers=="arrow") this.arrowhead(v,end,undefined,sty);
 }
 
-this.arrowhead = function(p,q,id) { 
+this.arrowhead = function(p,q,id,sty) { 
+	if (!checkPoint(p, "arrowhead p") || !checkPoint(q, "arrowhead q")) return;
+	var s = callStyle(sty);
 	if(typeof(id)=="undefined") id="arrHead"+Math.floor(Math.random() * 1000);
-	var ox = origin[0];
-	var oy = origin[1];
+	var P = px(p), Q = px(q);
 	var rotateAngleRad = 0;
 	var rotateAngleDeg = 0;
 	var triRotate = 0;
@@ -673,27 +2451,29 @@ this.arrowhead = function(p,q,id) {
 	var st = "";
 	var rot = "";
 	
-	if (q[0] == p[0]) {
-		if(q[1] > p[1]) { 
+	if (Q[0] == P[0]) {
+		if(Q[1] < P[1]) { 
 			rotateAngleRad = 0;
 		} else {
 			rotateAngleRad = Math.PI;  
 		}
 	} else {
-		rotateAngleRad = Math.PI/2 - Math.atan( ((q[1] - p[1])*yunitlength) / ((q[0] - p[0])*xunitlength) );
+		rotateAngleRad = Math.PI/2 - Math.atan( (P[1] - Q[1]) / (Q[0] - P[0]) );
 	}
-	if(q[0] < p[0]) { 
+	if(Q[0] < P[0]) { 
 		rotateAngleRad = Math.PI + rotateAngleRad;
 	} 
 	rotateAngleDeg = (180/Math.PI)*rotateAngleRad;
 	triRotate = Math.round(rotateAngleDeg);
-	rot = "rotate("+triRotate+" "+Math.round(ox+q[0]*xunitlength)+" "+Math.round(boardHeight-oy-q[1]*yunitlength)+")";
-	st = 'M '+Math.round(ox+q[0]*xunitlength)+' '+Math.round(boardHeight-oy-q[1]*yunitlength)+' L '+Math.round(ox+q[0]*xunitlength-triWidth/2)+' '+Math.round(boardHeight-oy+triHeight-q[1]*yunitlength)+' L '+Math.round(ox+q[0]*xunitlength+triWidth/2)+' '+Math.round(boardHeight-oy+triHeight-q[1]*yunitlength)+' Z';  
+	rot = "rotate("+triRotate+" "+Math.round(Q[0])+" "+Math.round(Q[1])+")";
+	st = 'M '+Math.round(Q[0])+' '+Math.round(Q[1])+' L '+Math.round(Q[0]-triWidth/2)+' '+Math.round(Q[1]+triHeight)+' L '+Math.round(Q[0]+triWidth/2)+' '+Math.round(Q[1]+triHeight)+' Z';  
 	var arrHead = makeSVG('path', {
 				d:st,
 				transform:rot,       
-				stroke:stroke, 
-				fill: arrowfill,
+				stroke:s.stroke, 
+				"stroke-opacity":s.strokeOpacity,
+				fill:s.arrowFillColor,
+				opacity:(s.opacity == null ? undefined : s.opacity),
 				id: id
 				}, svgID);  
 }
@@ -706,10 +2486,25 @@ this.arrowhead = function(p,q,id) {
 //
 /////////////////////////////////////////////
 
+// Listeners each board has added, so clearBoard() can take them off again:
+// {svg: [[element, type, handler]], drag: [eventjs listener]} by brdID.
+var boardListeners = {};
+function trackListeners(id) {
+	if (typeof(boardListeners[id]) == "undefined") {
+		boardListeners[id] = {svg: [], drag: []};
+	}
+	return boardListeners[id];
+}
+
 function addListeners( brdSvgEle ){
-	brdSvgEle.addEventListener( 'pointerdown', doOnPointerDown, false );
-	brdSvgEle.addEventListener( 'pointermove', doOnPointerMove, false );
-	brdSvgEle.addEventListener( 'pointerup', doOnPointerUp, false );
+	var tracked = trackListeners(brdSvgEle.id.replace("SVG", ""));
+	var handlers = {pointerdown: window.doOnPointerDown, pointermove: window.doOnPointerMove, pointerup: window.doOnPointerUp};
+	for (var type in handlers) {
+		if (typeof(handlers[type]) == "function") {
+			brdSvgEle.addEventListener( type, handlers[type], false );
+			tracked.svg.push([brdSvgEle, type, handlers[type]]);
+		}
+	}
 }
 
 ////////////////////////
@@ -723,8 +2518,19 @@ var transXRem, transYRem;
 var xCart, yCart;
 var xPix, yPix;
 var cx,cy;
+var targID, joinSegID, joinLineID, firstPt, secondPt, ptP, ptQ, newXcart;
 
 
+// The Path on the current board that drew node id, if one did
+function pathWithNodeId(id) {
+	var board = ASVG.Boards[brdID];
+	if (board == null) return null;
+	for (var pathId in board.Paths) {
+		if (board.Paths[pathId].nodeId == id) return board.Paths[pathId];
+	}
+	return null;
+}
+
 this.makeDraggable = function(targ, func, curveId) {
 	
 	// Do all the following ONCE for each draggable dot create
@@ -732,8 +2538,9 @@ this.makeDraggable = function(targ, func, curveId) {
 	targID = targ.id;
 	//gebi(targID).style.fill = "#f0f";
 	gebi(targID).style.strokeOpacity = 0.01;
-	addListeners( targ.parentNode );
-	brdID = targ.parentNode.id.replace("SVG", "");
+	addListeners( targ.ownerSVGElement );
+	var prevBrdID = brdID, dragBrdID = targ.ownerSVGElement.id.replace("SVG", "");
+	setBoardParams(dragBrdID);
 	
 	// Must set these here, with "var"
 	// TODO: Use: setBoardParams(brdID)..?
@@ -754,8 +2561,8 @@ this.makeDraggable = function(targ, func, curveId) {
 	var r = brdPropsArr[brdID][targID]["r"];  
 	
 	if( typeof(func) != "undefined" && func != "vert") {
-		var g;
-		eval("g = function(x){ with(Math) return "+mathjs(func)+"; }");
+		var g = compile(func, "x");
+		var dg = compileDerivative(func, "x");
 		///////////////////////////////////
 		//
 		// For cases where user didn't enter y value correctly
@@ -764,7 +2571,7 @@ this.makeDraggable = function(targ, func, curveId) {
 		/////////////////////////////////////////
 		var qForGlider = g(brdPropsArr[brdID][targID]["cart"][0]);
 		brdPropsArr[brdID][targID]["cart"][1] = qForGlider;
-		targ.setAttribute("cy", (boardHeight - oy - qForGlider*yunitlength));
+		targ.setAttribute("cy", brdPropsArr[brdID]["transform"].toPixel(brdPropsArr[brdID][targID]["cart"])[1]);
 	} 
 	var x_0 = brdPropsArr[brdID][targID]["cart"][0];
 	targID = '';
@@ -775,16 +2582,14 @@ this.makeDraggable = function(targ, func, curveId) {
 	//
 	///////////////////////////////////////////////////// 
 	
-	eventjs.add(targ, "drag", function(event, self) {
-		svgID = self.target.parentNode.id;
-		brdID = svgID.replace("SVG", "");
+	var onDrag = function(event, self) {
 		targID = targ.id;
 		
 		var boardWidth = brdPropsArr[brdID]["brdWidth"];  
 		var boardHeight = brdPropsArr[brdID]["brdHeight"];
 		
-		// So target is on top of all other elements
-		gebi(svgID).appendChild(gebi(targID));
+		// So target is on top of all other elements in its Path's <g>, or the board
+		targ.parentNode.appendChild(targ);
 		
 		if( typeof(brdPropsArr[brdID][targID]["trans"]) == "undefined") { 
 			brdPropsArr[brdID][targID]["trans"] = [0, 0];
@@ -821,7 +2626,7 @@ this.makeDraggable = function(targ, func, curveId) {
 			transXRem = -cx + padding;
 		} else {
 			transXRem = transX;
-			xCart = xmin + (xPix - padding) / xunitlength;
+			xCart = transform.toWorld([xPix, yPix])[0];
 		}
 		if( yPix <= padding) {
 			yPix = padding;
@@ -832,7 +2637,7 @@ this.makeDraggable = function(targ, func, curveId) {
 		} else {
 			transYRem = transY;
 		}
-		yCart = (boardHeight - yPix - oy) / yunitlength;
+		yCart = transform.toWorld([xPix, yPix])[1];
 //console.log("xCart in drag "+xCart)
 		///////////////////////////////////////////////////////
 		//
@@ -877,6 +2682,30 @@ this.makeDraggable = function(targ, func, curveId) {
 			ptQ = brdPropsArr[brdID][secondPt]["cart"];
 			this.line( ptP, ptQ, joinLineID); 
 		} 
+
+		/////////////////////////////////////////////////
+		//
+		// CASE 2a: Starting point of a solution curve
+		//
+		/////////////////////////////////////////////////
+
+		if( typeof(brdPropsArr[brdID][targID]["solution"]) != "undefined" ) {
+			var solution = brdPropsArr[brdID][targID]["solution"];
+			var owner = pathWithNodeId(solution.id);
+			if (owner != null) { // the start is one of its args, so it keeps the new one
+				var solutionArgs = owner.args.slice();
+				solutionArgs[1] = [xCart, yCart];
+				// Out of the <g> while it redraws, so this dot is kept rather than drawn anew
+				gebi(svgID).appendChild(targ);
+				try {
+					ASVG.modifyPath(owner.board, owner, {args:solutionArgs});
+				} finally {
+					owner.pathElement.appendChild(targ);
+				}
+			} else {
+				ASVG.V2.solutionCurve(solution.fun, [xCart, yCart], solution.options, solution.id, solution.sty);
+			}
+		}
 				
 		///////////////////////////////////////////////////////
 		//
@@ -897,9 +2726,9 @@ this.makeDraggable = function(targ, func, curveId) {
 			// TODO: Should this be pixel slope...?
 			//
 			//////////////////////////////////////////////
-			var slope =   (g(xCart-0.01)-g(xCart))/-0.01;
+			var slope = (dg ? dg(xCart) : (g(xCart-0.01)-g(xCart))/-0.01);
 			
-			var screenSlope = slope*(brdPropsArr[brdID]["YuL"]/brdPropsArr[brdID]["XuL"])
+			var screenSlope = slope*(transform.scale[1]/transform.scale[0])
 //console.log(slope,screenSlope)      
 			if(Math.abs(screenSlope) < 3 ) {
 				var yCart = Math.max(ymin, Math.min(g(xCart), ymax));
@@ -909,7 +2738,7 @@ this.makeDraggable = function(targ, func, curveId) {
 				} else if( yPix >= boardHeight - r) {
 					transYRem = yPix - cy;
 				} else {
-					transYRem = (-yCart+g(x_0))*yunitlength ;
+					transYRem = px([xCart, yCart])[1] - px([x_0, g(x_0)])[1];
 				}       
 				if (xCart > brdPropsArr[brdID][curveId]["minX"]
 						&& xCart < brdPropsArr[brdID][curveId]["maxX"] ) {
@@ -919,7 +2748,7 @@ this.makeDraggable = function(targ, func, curveId) {
 				
 				newXcart = xCart - (g(xCart) - yCart)/slope; //-(yCart - g(xCart))/slope;
 				transXRem = 0;
-				transXRem = ox - cx +(newXcart)*xunitlength;
+				transXRem = px([newXcart, yCart])[0] - cx;
 				gebi(targID).setAttribute("transform", "translate(" +(transXRem)+","+(transYRem)+")");
 				brdPropsArr[brdID][targID]["cart"] = [newXcart, yCart];
 				brdPropsArr[brdID][targID]["pix"] = [xPix, yPix];
@@ -969,7 +2798,7 @@ this.makeDraggable = function(targ, func, curveId) {
 			}
 		}
 		if( typeof(func) == "undefined" ) {
-			yCart = (boardHeight - yPix - oy) / yunitlength;
+			yCart = transform.toWorld([xPix, yPix])[1];
 			if(gebi("eventsInfo1")) {
 				if(dragCnt%5 == 1) {
 					gebi("eventsInfo1").innerHTML = "<b>Cartesian:</b> ("+(xCart.toFixed(2))+", "+yCart.toFixed(2)+")";
@@ -987,7 +2816,18 @@ this.makeDraggable = function(targ, func, curveId) {
 		}
 		dragCnt++;
 		
-	}); 
+	};
+	// Each drag works on this board, then makes the current one current again
+	trackListeners(brdID).drag.push(eventjs.add(targ, "drag", function(event, self) {
+		var prevDragBrdID = brdID;
+		setBoardParams(dragBrdID);
+		try {
+			onDrag.call(this, event, self);
+		} finally {
+			restoreBoard(prevDragBrdID, dragBrdID);
+		}
+	}));
+	restoreBoard(prevBrdID, dragBrdID);
 }
 
 
@@ -1001,6 +2841,7 @@ this.makeDraggable = function(targ, func, curveId) {
 /////////////////////////////////////////////
 
 var eTarg, targetId, et,  mseTchPosi;
+var thisSVGNode, dPoint;
 var drag = null, dragging = false;
 var currCartMatrix = [];
 var slicedSVG;
@@ -1168,28 +3009,30 @@ function mseTchPos(evt) {
 
 var joinSegArr = [];
 var joinLineArr = [];
-this.ASdot = function(center, radius, s, f, id) {
-		setBoardParams(brdID);
+this.ASdot = function(center, radius, s, f, id, sty) {
+	if (!checkPoint(center, "ASdot center") || !checkLength(radius, "ASdot radius")) return;
 	slicedSVG = svgID.slice(0,-3);
 	brdPropsArr[slicedSVG][id] = [];
 	brdPropsArr[slicedSVG][id]["cart"] = center;
 	var node;
-	if (s == null) s = stroke;
-		if (f == null) f = fill;
+	var ds = callStyle(sty);
+	if (s == null) s = ds.stroke;
+		if (f == null) f = ds.fill;
 	if (id!=null) node = doc.getElementById(id);
 	if(node == null) {
-		cx = (center[0] * xunitlength + origin[0]);
-		cy = (boardHeight - center[1] * yunitlength - origin[1]);
+		cx = px(center)[0];
+		cy = px(center)[1];
 //console.log(strokewidth)    
 		node = makeSVG("circle", {"id":id,
 								"cx":cx.toFixed(2),
 								"cy":cy.toFixed(2),
 								"r":radius,
 								"stroke":s,
-								"stroke-width":strokewidth,
-								"stroke-opacity":strokeopacity,
+								"stroke-width":(sty == null ? ds.strokeWidth : ds.markerWidth),
+								"stroke-opacity":ds.strokeOpacity,
 								"fill":f,
-								"fill-opacity": fillopacity               
+								"fill-opacity": ds.fillOpacity,
+								"opacity":(ds.opacity == null ? undefined : ds.opacity)
 								}, svgID);
 		brdPropsArr[slicedSVG][id]["cx"] = cx;
 		brdPropsArr[slicedSVG][id]["cy"] = cy;
@@ -1212,12 +3055,12 @@ this.ASdot = function(center, radius, s, f, id) {
 		if(gliderOn.length > 0) {
 			node.setAttribute("data-gliderOn", gliderOn);
 		}
-		thisXunitLen = boardPropsArr[slicedSVG+"XuL"];
-		thisYunitLen = boardPropsArr[slicedSVG+"YuL"];
-		thisPadding =  boardPropsArr[slicedSVG+"pad"];
-		thisXmin = boardPropsArr[slicedSVG+"xMin"];
-		thisOy =  boardPropsArr[slicedSVG+"oy"];
-		thisHeight = boardPropsArr[slicedSVG+"Height"];
+		var thisXunitLen = boardPropsArr[slicedSVG+"XuL"];
+		var thisYunitLen = boardPropsArr[slicedSVG+"YuL"];
+		var thisPadding =  boardPropsArr[slicedSVG+"pad"];
+		var thisXmin = boardPropsArr[slicedSVG+"xMin"];
+		var thisOy =  boardPropsArr[slicedSVG+"oy"];
+		var thisHeight = boardPropsArr[slicedSVG+"Height"];
 		var xCart = center[0];
 		var yCart = center[1];
 		
@@ -1275,30 +3118,34 @@ this.ASdot = function(center, radius, s, f, id) {
 	return gebi(id);
 }
 
-this.circle = function(center,radius,id) {  
+this.circle = function(center,radius,id,sty) {  
 	// When axes are not equal scaled, should look like an ellipse...
-	this.ellipse(center,radius,radius,id);
+	this.ellipse(center,radius,radius,id,sty);
 }
 
-this.dot = function(center, typ, label, pos, id) {
+this.dot = function(center, typ, label, pos, id, sty) {
+		if (!checkPoint(center, "dot center")) return;
 		var node;
-		var cx = center[0] * xunitlength + brdPropsArr[brdID]["ox"];
-		var cy = brdPropsArr[brdID]["brdHeight"] - center[1] * brdPropsArr[brdID]["YuL"] - brdPropsArr[brdID]["oy"];
+		var s = callStyle(sty);
+		if (sty != null && sty.strokeWidth == null) s.strokeWidth = s.dotStrokeWidth;
+		var cx = px(center)[0];
+		var cy = px(center)[1];
 	// Commenting this made the sky fall in for e.g. /applications-differentiation/newtons-method-interactive.php
 	if (id != null) node = doc.getElementById(id);
 		if (typ == "+" || typ == "-" || typ == "|") {
 				if (node == null) {
 						node = makeSVG("path", {id:id}, svgID);
 				}
+				var tl = s.tickLength;
 				if (typ == "+") {
-						node.setAttribute("d", " M " + (cx - ticklength) + " " + cy + " L " + (cx + ticklength) + " " + cy + " M " + cx + " " + (cy - ticklength) + " L " + cx + " " + (cy + ticklength));
+						node.setAttribute("d", " M " + (cx - tl) + " " + cy + " L " + (cx + tl) + " " + cy + " M " + cx + " " + (cy - tl) + " L " + cx + " " + (cy + tl));
 						node.setAttribute("stroke-width", 1);
-						node.setAttribute("stroke", axesstroke)
+						node.setAttribute("stroke", s.axesStrokeColor)
 				} else {
-						if (typ == "-") node.setAttribute("d", " M " + (cx - ticklength) + " " + cy + " L " + (cx + ticklength) + " " + cy);
-						else node.setAttribute("d", " M " + cx + " " + (cy - ticklength) + " L " + cx + " " + (cy + ticklength));
-						node.setAttribute("stroke-width", strokewidth);
-						node.setAttribute("stroke", stroke)
+						if (typ == "-") node.setAttribute("d", " M " + (cx - tl) + " " + cy + " L " + (cx + tl) + " " + cy);
+						else node.setAttribute("d", " M " + cx + " " + (cy - tl) + " L " + cx + " " + (cy + tl));
+						node.setAttribute("stroke-width", s.strokeWidth);
+						node.setAttribute("stroke", s.stroke)
 				}
 		} else {
 				if (node == null) {
@@ -1306,14 +3153,13 @@ this.dot = function(center, typ, label, pos, id) {
 				}
 				node.setAttribute("cx", cx);
 				node.setAttribute("cy", cy);
-				node.setAttribute("r", dotradius);
-				node.setAttribute("stroke-width", strokewidth);
-				node.setAttribute("stroke", stroke);
-		node.setAttribute("stroke-opacity", strokeopacity);
-				node.setAttribute("fill", (typ == "open" ? "white" : stroke))
-		node.setAttribute("fill-opacity", fillopacity);
-		}
-		if (label != null && label.length > 0) this.text(center, label, (pos == null ? "below" : pos), (id == null ? id : id + "label"))
+				node.setAttribute("r", s.dotRadius);
+				setAttrs(node, styleAttrs(s));
+				node.setAttribute("fill", (typ == "open" ? "white" : s.stroke))
+		}
+		// Label takes the dot's font settings, not its stroke and fill
+		var labelSty = (sty == null ? null : {fontSize:s.fontSize, fontFamily:s.fontFamily, textColor:s.textColor, className:s.className});
+		if (label != null && label.length > 0) this.text(center, label, (pos == null ? "below" : pos), (id == null ? id : id + "label"), undefined, undefined, labelSty)
 //console.log(brdID, id)  
 	if( typeof(brdPropsArr[brdID][id]) == "undefined") {
 		//console.log("hyarone")
@@ -1324,23 +3170,20 @@ this.dot = function(center, typ, label, pos, id) {
 	brdPropsArr[brdID][id]["cart"] = center;
 }
 
-this.ellipse = function(center,rx,ry,id) { // coordinates in units
+this.ellipse = function(center,rx,ry,id,sty) { // coordinates in units
+	if (!checkPoint(center, "ellipse center") || !checkLength(rx, "ellipse rx") || !checkLength(ry, "ellipse ry")) return;
 	var node;
 	if (id!=null) node = doc.getElementById(id);
 	if(node == null) {
 		node = makeSVG("ellipse", {
 			"id":id,
-			"cx":(center[0] * brdPropsArr[brdID]["XuL"] + brdPropsArr[brdID]["ox"]).toFixed(2),
-			"cy":(brdPropsArr[brdID]["brdHeight"] - center[1] * brdPropsArr[brdID]["YuL"] - brdPropsArr[brdID]["oy"]).toFixed(2),
-			"rx":rx*brdPropsArr[brdID]["XuL"],
-			"ry":ry*brdPropsArr[brdID]["YuL"],
-			"stroke":stroke,
-			"stroke-width":strokewidth,               
-			"stroke-opacity":strokeopacity,
-			"fill":fill,
-			"fill-opacity": fillopacity               
+			"cx":px(center)[0].toFixed(2),
+			"cy":px(center)[1].toFixed(2),
+			"rx":rx*transform.scale[0],
+			"ry":ry*transform.scale[1]
 			}, svgID);  
 	}  
+	setAttrs(node, styleAttrs(callStyle(sty)));
 }
 
 
@@ -1366,9 +3209,12 @@ this.draggablePtsSegLineJoiner = function(lineSeg, lineSegType, ptsArray, ptName
 } 
 	
 
-this.line = function(p, q, id, strokedasharray) {
-	setBoardParams(svgID);  
-		var node;
+this.line = function(p, q, id, strokedasharray, sty) {
+		if (!checkPoint(p, "line p") || !checkPoint(q, "line q")) return;
+		var node, pStart, pEnd;
+		var yValueAtXmin, yValueAtXmax, yValueAtActualXmin, yValueAtActualXmax;
+		var s = callStyle(sty);
+		if (strokedasharray != null) s.dash = strokedasharray;
 		if (id) {
 		node = doc.getElementById(id);
 	} else {
@@ -1378,16 +3224,11 @@ this.line = function(p, q, id, strokedasharray) {
 		if (node == null) {
 		node = makeSVG("path", {
 			"id":id,
-			"stroke":stroke,
-			"stroke-width":strokewidth,               
-			"stroke-opacity":strokeopacity,
-			"fill":fill,
-			"fill-opacity": fillopacity,
 			"vector-effect": "non-scaling-stroke"     
 			}, svgID);    
 		}
+		setAttrs(node, styleAttrs(s));
 
-		if (strokedasharray != null) node.setAttribute("stroke-dasharray", strokedasharray);
 	if (shaperendering != null) node.setAttribute("shape-rendering", shaperendering);
 
 	var xmin = brdPropsArr[brdID]["xMin"];
@@ -1485,19 +3326,23 @@ this.line = function(p, q, id, strokedasharray) {
 		p = pStart;
 		q = pEnd;
 	}
-	node.setAttribute("d", "M" + (p[0] * xunitlength + origin[0]) + "," + (boardHeight - p[1] * yunitlength - origin[1]) + " " + (q[0] * xunitlength + origin[0]) + "," + (boardHeight - q[1] * yunitlength - origin[1] ));
+	node.setAttribute("d", "M" + px(p) + " " + px(q));
 	return node;  
 }
 
-this.segment = function(p, q, id, strokedasharray) {
+this.segment = function(p, q, id, strokedasharray, sty) {
+	if (!checkPoint(p, "segment p") || !checkPoint(q, "segment q")) return;
 //console.log(p,q)  
-	setBoardParams(svgID);
 	if( (p[0] > actualXmin && p[0] < actualXmax && p[1] > actualYmin && p[1] < actualYmax)
 		||  (q[0] > actualXmin && q[0] < actualXmax && q[1] > actualYmin && q[1] < actualYmax)  
 		||  ( (p[0]+q[0])/2 > actualXmin && (p[0]+q[0])/2 < actualXmax 
 		||  (p[1]+q[1])/2 > actualYmin && (p[1]+q[1])/2 < actualYmax) 
 		) {
-		var node;
+		var node, slopeAng, mrkrfill, dotSpacerX, dotSpacerY;
+		var s = callStyle(sty);
+		var mk = s.markers;
+		if (sty != null && sty.strokeWidth == null) s.strokeWidth = s.segmentStrokeWidth;
+		if (strokedasharray != null) s.dash = strokedasharray;
 		if (id) {
 			node = doc.getElementById(id);
 		} else {
@@ -1507,41 +3352,31 @@ this.segment = function(p, q, id, strokedasharray) {
 		if (node == null) {
 			node = makeSVG("path", {
 				"id":id,
-				"stroke":stroke,
-				"stroke-width":strokewidth,               
-				"stroke-opacity":strokeopacity,
-				"fill":fill,
-				"fill-opacity": fillopacity,
-				"stroke-dasharray": strokedasharray,
 				"vector-effect": "non-scaling-stroke"     
 				}, svgID);    
 		}
-		if (strokedasharray != null) node.setAttribute("stroke-dasharray", strokedasharray);
+		setAttrs(node, styleAttrs(s));
 		if (shaperendering != null) node.setAttribute("shape-rendering", shaperendering);
 		slopeAng = arctan( (q[1]-p[1]) / (q[0]-p[0]));
 		//"dotarrow" means start with dot, end with arrow
 		//"arrowdot" means the arrow points to dot
-		if (marker == "dotdot" || marker == "dotarrow" || marker == "dot" || marker == "arrowdot") {
+		if (mk == "dotdot" || mk == "dotarrow" || mk == "dot" || mk == "arrowdot") {
 			if(typeof(firstDotClosed) != "undefined" && firstDotClosed == 1) {
-				mrkrfill = corpColor;
-				fillopacity = 1;
+				mrkrfill = s.markerFillColor;
 			} else {
 				mrkrfill = "none"; //markerfill;
-				fillopacity = 0;
 			}
-			if(marker == "dotdot" || marker == "dotarrow" || marker == "dot") {
-				this.ASdot(p, markersize, markerstroke, mrkrfill);  // First dot
+			if(mk == "dotdot" || mk == "dotarrow" || mk == "dot") {
+				this.ASdot(p, s.markerSize, s.markerStroke, mrkrfill, null, sty);  // First dot
 			}
-			// Need to reset this here
-			fillopacity = 1;
-			dotSpacerX = markersize * cos(slopeAng);
-			dotSpacerY = markersize * sin(slopeAng);  
-			if (marker == "dotdot" || marker == "arrowdot") {
-				this.ASdot(q, markersize, markerstroke, markerfill);  // Second dot   
+			dotSpacerX = s.markerSize * cos(slopeAng);
+			dotSpacerY = s.markerSize * sin(slopeAng);  
+			if (mk == "dotdot" || mk == "arrowdot") {
+				this.ASdot(q, s.markerSize, s.markerStroke, s.markerFillColor, null, sty);  // Second dot   
 			}
-			if (marker == "dotarrow" || marker == "arrowdot") {
-				if (marker == "dotarrow") {
-					this.arrowhead(p, q);
+			if (mk == "dotarrow" || mk == "arrowdot") {
+				if (mk == "dotarrow") {
+					this.arrowhead(p, q, undefined, sty);
 				} else {
 					// Set some space between arrow head and dot
 					dotSpacerX += 4 * Math.cos(slopeAng);
@@ -1550,23 +3385,26 @@ this.segment = function(p, q, id, strokedasharray) {
 						dotSpacerX = -dotSpacerX;
 						dotSpacerY = -dotSpacerY;
 					}       
-					this.arrowhead(p, [q[0]-(dotSpacerX)/xunitlength, q[1]-(dotSpacerY)/yunitlength]);
+					this.arrowhead(p, transform.toWorld([px(q)[0]-dotSpacerX, px(q)[1]+dotSpacerY]), undefined, sty);
 				}
 			}
-		} else if  (marker == "arrow") {
+		} else if  (mk == "arrow") {
 			// NOO elementIdNum++;  
 			// NOO id = svgID+"-ah-"+elementIdNum;    
-			this.arrowhead(p, q, id+"-ah");
+			this.arrowhead(p, q, id+"-ah", sty);
 			dotSpacerX = 0; dotSpacerY = 0;  
 		} else {
 			dotSpacerX = dotSpacerY = 0;
 		}
-		node.setAttribute("d", "M" + (p[0] * xunitlength + origin[0] + dotSpacerX) + "," + (boardHeight - p[1] * yunitlength - origin[1] - dotSpacerY) + " " + (q[0] * xunitlength + origin[0] - dotSpacerX) + "," + (boardHeight - q[1] * yunitlength - origin[1] + dotSpacerY));
+		var P = px(p), Q = px(q);
+		node.setAttribute("d", "M" + (P[0] + dotSpacerX) + "," + (P[1] - dotSpacerY) + " " + (Q[0] - dotSpacerX) + "," + (Q[1] + dotSpacerY));
 		return node;
 	}
 }
 
-this.pathGivenD = function(d,id) {
+this.pathGivenD = function(d,id,sty) {
+		if (typeof d != "string") return fail(ASVG.CoordinateError, "pathGivenD needs an SVG path string, not "+d, d);
+		var node;
 		if (id!=null) {
 			node = doc.getElementById(id);
 		} else {
@@ -1577,22 +3415,19 @@ this.pathGivenD = function(d,id) {
 	
 	node = makeSVG("path", {
 	"id":id,
-	"stroke":stroke,
-	"stroke-width":strokewidth,               
-	"stroke-opacity":strokeopacity,
-	"fill":fill,
-	"fill-opacity": fillopacity,
 	"vector-effect": "non-scaling-stroke"     
 	}, svgID);
+	setAttrs(node, styleAttrs(callStyle(sty)));
 	node.setAttribute("d", d);
 }
 
-this.path = function(plist,id,c) {
+this.path = function(plist,id,c,sty) {
+	if (typeof plist != "string" && !checkPoints(plist, "path")) return;
 
 //console.log(plist); 
-		setBoardParams(svgID);
 		if (c==null) c="";
-		var node, st, i;
+		var node, st, i, curveLengthCart, curveLengthPix;
+		var s = callStyle(sty);
 		if (id!=null) {
 			node = doc.getElementById(id);
 		} else {
@@ -1602,11 +3437,6 @@ this.path = function(plist,id,c) {
 		if (node==null) {
 			node = makeSVG("path", {
 				"id":id,
-				"stroke":stroke,
-				"stroke-width":strokewidth,               
-				"stroke-opacity":strokeopacity,
-				"fill":fill,
-				"fill-opacity": fillopacity,
 				"vector-effect": "non-scaling-stroke"     
 				}, svgID);
 		} 
@@ -1622,17 +3452,17 @@ this.path = function(plist,id,c) {
 	//console.log(plist[0][0]);     
 		curveLengthCart = 0;
 		curveLengthPix = 0;
+		var nPts = 0; // c goes after the first point drawn
 		for (i=0; i<plist.length; i++) {
-			if(plist[i][1] > brdPropsArr[brdID]["plotYmin"] && plist[i][1] < brdPropsArr[brdID]["plotYmax"]) {
-				st += (plist[i][0]*xunitlength+origin[0]).toFixed(2)+","+
-				(boardHeight-plist[i][1]*yunitlength-origin[1]).toFixed(2)+" ";
+			if(plist[i][1] >= brdPropsArr[brdID]["plotYmin"] && plist[i][1] <= brdPropsArr[brdID]["plotYmax"]) {
+				st += px(plist[i])[0].toFixed(2)+","+px(plist[i])[1].toFixed(2)+" ";
+				if (++nPts == 1 && c != "") st += c+" ";
 //console.log(st)       
 			if(i>1) {
 	//console.log( plist[i-1][0], plist[i-1][1] )     
 	//console.log( plist[i-1][1], (boardHeight-plist[i][1]*yunitlength-origin[1]).toFixed(2));      
 				curveLengthCart += pythag([plist[i-1][0], plist[i-1][1]], [plist[i][0], plist[i][1]]);
-				curveLengthPix += pythag( [plist[i-1][0]*xunitlength+origin[0], boardHeight-plist[i-1][1]*yunitlength-origin[1]],
-										[plist[i][0]*xunitlength+origin[0], boardHeight-plist[i][1]*yunitlength-origin[1]] )
+				curveLengthPix += pythag(px(plist[i-1]), px(plist[i]));
 			}
 			}
 		}
@@ -1645,275 +3475,1404 @@ this.path = function(plist,id,c) {
 		}
 //console.log("st = "+st, id, curveLength)
 		node.setAttribute("d", st);
-		node.setAttribute("stroke-width", strokewidth);
-		if(typeof(opacity) != "undefined") {node.setAttribute("opacity", opacity);}
+		setAttrs(node, styleAttrs(s));
 		node.setAttribute("vector-effect", "non-scaling-stroke");
-		if (strokedasharray!=null) 
-		node.setAttribute("stroke-dasharray", strokedasharray);
-		if (strokedashoffset!=null) 
-		node.setAttribute("stroke-dashoffset", strokedashoffset);
-		if (marker=="dot" || marker=="arrowdot")
+		// A ready-made d string has no points to mark
+		if ((s.markers=="dot" || s.markers=="arrowdot") && typeof plist != "string")
 		for (i=0; i<plist.length; i++)
 			if (c!="C" && c!="T" || i!=1 && i!=2)
-			this.ASdot(plist[i],markersize,markerstroke,markerfill);
+			this.ASdot(plist[i],s.markerSize,s.markerStroke,s.markerFillColor,null,sty);
+
+}
+
+// Smooth curve through plist, as in ASCIIsvg v1
+this.curve = function(plist,id,sty) {
+	this.path(plist,id,"T",sty);
+}
+
+// d is a direction vector e.g. [1,0] means loop starts in that direction
+this.loop = function(p,d,id,sty) {
+	if (!checkPoint(p, "loop p") || (d != null && !checkPoint(d, "loop direction"))) return;
+	var s = callStyle(sty);
+	if (d==null) d=[1,0];
+	this.path([p,[p[0]+d[0],p[1]+d[1]],[p[0]-d[1],p[1]+d[0]],p],id,"C",sty);
+	if (s.markers=="arrow" || s.markers=="arrowdot")
+		this.arrowhead([p[0]+Math.cos(1.4)*d[0]-Math.sin(1.4)*d[1],
+			p[1]+Math.sin(1.4)*d[0]+Math.cos(1.4)*d[1]],p,(id==null?id:id+"arrow"),sty);
+}
+
+var x;
+///////////////////////////////////////
+//
+// Adaptive sampling
+//
+// sampleCurve() samples t -> point(t) over [min, max]: first on an even
+// grid, then by quartering every interval where the curve strays more than
+// sampling.tolerance pixels off the chord between its ends, one level at a
+// time, until the curve is that close everywhere or sampling.maxPoints is
+// reached. Intervals where inside(p) changes are quartered too, to find
+// where the curve leaves the plot range or breaks. Samples are {t, p, ok}, with
+// ok = inside(p), in order of t.
+//
+///////////////////////////////////////
+
+// points may be a point budget (as the old number of steps was) or an
+// options object like ASVG.Config.plotDefaults, which fills in the rest.
+function plotOptions(points) {
+	var options = Object.assign({}, ASVG.Config.plotDefaults);
+	if (isNum(points)) options.maxPoints = points;
+	else if (points != null && typeof points == "object") Object.assign(options, points);
+	return options;
+}
+
+function sampleCurve(point, min, max, sampling, inside) {
+	function sample(t) {
+		var p = point(t);
+		var ok = inside(p);
+		return {t:t, p:p, P:(ok ? px(p) : null), ok:ok};
+	}
+	// Distance in pixels of M from the line through A and B
+	function offChord(A, M, B) {
+		var dx = B[0]-A[0], dy = B[1]-A[1];
+		var len = Math.sqrt(dx*dx+dy*dy);
+		if (len == 0) return Math.sqrt((M[0]-A[0])*(M[0]-A[0])+(M[1]-A[1])*(M[1]-A[1]));
+		return Math.abs(dx*(M[1]-A[1])-dy*(M[0]-A[0]))/len;
+	}
+	// Three probes rather than one midpoint, so that a wave that happens
+	// to cross the chord halfway is still caught.
+	function needsSplit(a, probes, b) {
+		var all = probes.every(function(m) { return m.ok; });
+		if (!(a.ok && b.ok && all)) return a.ok || b.ok || probes.some(function(m) { return m.ok; });
+		return probes.some(function(m) { return offChord(a.P, m.P, b.P) > sampling.tolerance; });
+	}
+	var maxPoints = Math.max(3, sampling.maxPoints);
+	var grid = Math.max(2, Math.min(64, Math.floor(maxPoints/4)));
+	var minStep = (max-min)/grid/4096;
+	var samples = [], i;
+	for (i = 0; i <= grid; i++) {
+		samples.push(sample(min+(max-min)*i/grid));
+		// Include 0, where many formulas change behaviour
+		if (min+(max-min)*i/grid < 0 && min+(max-min)*(i+1)/grid > 0) samples.push(sample(0));
+	}
+	var count = samples.length;
+	var added = true;
+	while (added && count < maxPoints) {
+		added = false;
+		var next = [samples[0]];
+		for (i = 1; i < samples.length; i++) {
+			var a = samples[i-1], b = samples[i];
+			if (!a.settled && count < maxPoints && b.t-a.t > minStep) {
+				var quarters = [1, 2, 3].map(function(j) { return sample(a.t+(b.t-a.t)*j/4); });
+				if (needsSplit(a, quarters, b)) {
+					next.push.apply(next, quarters);
+					count += 3;
+					added = true;
+				} else {
+					a.settled = true;
+				}
+			}
+			next.push(b);
+		}
+		samples = next;
+	}
+	return samples;
+}
+
+///////////////////////////////////////
+//
+// Discontinuities of y = g(x)
+//
+// Found from the samples of sampleCurve(), which crowd in wherever the
+// graph breaks or leaves the plot range [yLow, yHigh]:
+//   pole: between two arms the values run off to infinity
+//   jump: neighbouring samples within a pixel in x but apart in y, and
+//         still apart when bisected
+//   hole: a gap under a pixel wide with equal limits either side
+// and from the zeros of the denominators dens (functions of t) between
+// samples, where removable holes sit but samples may never land. Jumps
+// and holes need both one-sided limits, so oscillation as in sin(1/x) at
+// 0 is neither. Each is {type, x, left, right, value, breaks} with the
+// one-sided limits, g(x), and for jumps the sample indexes where the path
+// must break.
+//
+///////////////////////////////////////
+
+// The shortest decimal in [lo, hi], so a break found near 1 is at 1
+function niceBetween(lo, hi) {
+	for (var k = 0; k <= 12; k++) {
+		var c = Math.round((lo+hi)/2*Math.pow(10, k))/Math.pow(10, k);
+		if (c >= lo && c <= hi) return c;
+	}
+	return (lo+hi)/2;
+}
+
+function findDiscontinuities(g, samples, min, max, yLow, yHigh, dens) {
+	var found = [];
+	var narrow = 1/transform.scale[0];  // a pixel
+	var huge = 1e6*(yHigh-yLow);
+	function apart(y1, y2) {
+		return Math.abs(px([0, y1])[1]-px([0, y2])[1]) > 2;
+	}
+	// A jump sampled on both sides of its own value (as at 0) is one jump
+	function add(d) {
+		for (var j = 0; j < found.length; j++) {
+			if (Math.abs(found[j].x-d.x) > narrow) continue;
+			if (found[j].type == "jump" && d.type == "jump") {
+				found[j].right = d.right;
+				found[j].breaks.push(d.breaks[0]);
+			}
+			return;
+		}
+		if (d.value === undefined) d.value = g(d.x);
+		found.push(d);
+	}
+	// The limit of g at c from side -1 or 1, or NaN unless g settles to
+	// within a pixel as x closes in
+	function limit(c, side) {
+		var ys = [];
+		for (var n = 7; n <= 10; n++) ys.push(g(c+side*(max-min)*Math.pow(10, -n)));
+		if (!ys.every(isFinite) || ys.some(function(y) { return apart(y, ys[3]); })) return NaN;
+		return ys[3];
+	}
+	// A break at c: a jump ending the path before sample k, or a hole
+	function addBreak(c, k) {
+		var left = limit(c, -1), right = limit(c, 1);
+		if (isNaN(left) || isNaN(right)) return;
+		if (apart(left, right)) add({type:"jump", x:c, left:left, right:right, breaks:[k]});
+		else if (left > yLow && left < yHigh) add({type:"hole", x:c, left:left, right:right});
+	}
+	// Bisects (lo, hi) towards the larger change in g; a jump stays apart
+	// however close, where a steep but continuous graph closes up.
+	function jump(lo, hi) {
+		for (var n = 0; n < 50 && hi-lo > 1e-15*(1+Math.abs(lo)); n++) {
+			var mid = (lo+hi)/2;
+			if (Math.abs(g(mid)-g(lo)) > Math.abs(g(hi)-g(mid))) hi = mid;
+			else lo = mid;
+		}
+		return (apart(g(lo), g(hi)) ? niceBetween(lo, hi) : null);
+	}
+	// Where |g| peaks in (lo, hi), by golden section
+	function peak(lo, hi) {
+		var r = (Math.sqrt(5)-1)/2;
+		var size = function(x) { var y = Math.abs(g(x)); return (isNaN(y) ? -1 : y); };
+		for (var n = 0; n < 80 && hi-lo > 1e-15*(1+Math.abs(lo)); n++) {
+			var x1 = hi-r*(hi-lo), x2 = lo+r*(hi-lo);
+			if (size(x1) > size(x2)) hi = x2;
+			else lo = x1;
+		}
+		return (lo+hi)/2;
+	}
+	var k = 0, a, b, gap, i;
+	while (k < samples.length) {
+		if (!samples[k].ok) {
+			// A run of samples off the plot range, between ok samples a and b
+			a = (k > 0 ? samples[k-1] : null);
+			for (i = k; i < samples.length && !samples[i].ok; i++);
+			b = (i < samples.length ? samples[i] : null);
+			gap = samples.slice(k, i);
+			var infinite = gap.find(function(sm) { return Math.abs(sm.p[1]) == Infinity; });
+			var offRange = gap.some(function(sm) { return !isNaN(sm.p[1]); });
+			if (infinite) {
+				add({type:"pole", x:infinite.t});
+			} else if (offRange && a != null && b != null) {
+				var x0 = peak(a.t, b.t);
+				if (Math.abs(g(x0)) > huge) add({type:"pole", x:niceBetween(x0-1e-9, x0+1e-9)});
+			} else if (!offRange && a != null && b != null && b.t-a.t <= narrow) {
+				addBreak(niceBetween(a.t, b.t), i);
+			}
+			k = i;
+		} else {
+			a = samples[k-1];
+			b = samples[k];
+			if (k > 0 && a.ok && b.t-a.t <= narrow && apart(a.p[1], b.p[1])) {
+				var xj = jump(a.t, b.t);
+				if (xj != null) addBreak(xj, k);
+			}
+			k++;
+		}
+	}
+	// g is undefined where a denominator is 0: a hole if the limits agree
+	(dens || []).forEach(function(den) {
+		for (var j = 0; j < samples.length; j++) {
+			var lo = samples[Math.max(0, j-1)].t, hi = samples[j].t, dLo = den(lo), dHi = den(hi), c = null;
+			if (dHi == 0) {
+				c = hi;
+			} else if (dLo*dHi < 0) {
+				for (var n = 0; n < 60 && hi-lo > 1e-15*(1+Math.abs(lo)); n++) {
+					var mid = (lo+hi)/2;
+					if (den(mid)*dLo > 0) lo = mid;
+					else hi = mid;
+				}
+				// A change of sign through a pole of the denominator is no zero
+				if (Math.min(Math.abs(den(lo)), Math.abs(den(hi))) < 1e-9*Math.max(1, Math.abs(dLo), Math.abs(dHi))) {
+					c = niceBetween(lo, hi);
+				}
+			}
+			if (c == null) continue;
+			var left = limit(c, -1), right = limit(c, 1);
+			if (isNaN(left) || isNaN(right) || apart(left, right) || left <= yLow || left >= yHigh) continue;
+			add({type:"hole", x:c, left:left, right:right, value:NaN});
+		}
+	});
+	return found;
+}
+
+// Functions of x for the denominators in formula fun, where y = fun is
+// undefined when one is 0: the right of a / and the base of a negative power
+function denominators(fun) {
+	if (typeof fun != "string") return [];
+	var scope = boardScope(), tree, list = [];
+	try {
+		tree = expandDefinitions(parseFormula(fun, ["x"], scope), scope);
+	} catch (err) {
+		return [];
+	}
+	(function collect(node) {
+		if (node.type == "unary") collect(node.arg);
+		if (node.type == "call") node.args.forEach(collect);
+		if (node.type != "binary") return;
+		var negative = (node.right.type == "unary" || (isValue(node.right) && node.right.value < 0));
+		if (node.op == "/" && dependsOn(node.right, "x")) list.push(node.right);
+		if (node.op == "^" && negative && dependsOn(node.left, "x")) list.push(node.left);
+		collect(node.left);
+		collect(node.right);
+	})(tree);
+	return list.map(function(node) {
+		var body = compileNode(node, ["x"], scope);
+		return function(x) { return body([x]); };
+	});
+}
+
+this.plot = function(fun, x_min, x_max, points, id, sty) {
+	if (isNum(x_min) && x_max != null && !checkRange(x_min, x_max, "plot domain")) return;
+
+	///////////////////////////////////////////
+	//
+	// xmin, xmax are board minimum, maximum
+	// x_min, x_max are graph domain limits
+	// min, max are the interval sampled
+	// 
+	////////////////////////////////////////////
+
+	var pth = [];
+	var g = fun;
+	var name = null;
+	if (id!=null) {
+		// For animation/slider cases where 2nd type is created (may need more...?)
+		removeEle(id);
+		removeEle(id+"-0"); 
+		removeEle(id+"-1");     
+	} else {
+		elementIdNum++;  
+		id = svgID+"-plot-"+elementIdNum;  
+	}
+	// plot("x^2 + y^2 = 4"), an equation in x and y
+	if (typeof fun == "string" && fun.indexOf("=") > -1) {
+		return this.plotImplicit(fun, (isNum(points) ? null : points), id, sty);
+	}
+	// plot([x(t), y(t)], tmin, tmax, points) as in ASCIIsvg v1
+	if (Array.isArray(fun)) {
+		var tOptions = (isNum(points) ? {maxPoints:points} : Object.assign({}, points));
+		tOptions.t = [(x_min == null ? xmin : x_min), (x_max == null ? xmax : x_max)];
+		return this.plotParametric(fun, tOptions, id, sty);
+	}
+	var plotId = id;
+	var plotted = false;
+	var actualXmin = brdPropsArr[brdID]["actualXmin"];
+	var actualXmax = brdPropsArr[brdID]["actualXmax"];
+	var plotXmin = transform.plot.xMin, plotXmax = transform.plot.xMax;
+	var plotYmin = (plotBeyondYVis ? transform.plot.yMin : ymin);
+	var plotYmax = (plotBeyondYVis ? transform.plot.yMax : ymax);
+	var actualYmin = brdPropsArr[brdID]["actualYmin"];
+	var actualYmax = brdPropsArr[brdID]["actualYmax"];
+	var xPlotMin, xPlotMax, min, max, point, inside, graph = false;
+
+	// Y CASE!  YYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYY
+
+	if (typeof fun == "string" && plotVariable(fun) == "y") {
+
+		g = compile(fun, "y");
+		if (g == null) return;
+		if (typeof x_min=="string") { name = x_min; x_min = xmin }
+			else name = id; 
+
+		min = (x_min==null?xmin:x_min);
+		max = (x_max==null?xmax:x_max);
+		point = function(t) { return [g(t), t]; };  // Note reversal
+		inside = function(p) { return isNum(p[0]) && p[0] > plotXmin && p[0] < plotXmax; };
+
+	} else {
+
+		// X CASE! XXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX
+
+		if (typeof fun == "string" || typeof fun == "number") {
+			g = compile(fun, "x");
+		} else if (typeof fun != "function") {
+			g = compile(fun, "x");
+		}
+		if (g == null) return;
+		if(plotBeyondXVis) { // For animation cases, e.g. standing wave: /trigonometric-graphs/6-composite-trigonometric-graphs.php
+			xPlotMin = x_min;
+			xPlotMax = x_max;
+		} else {
+			xPlotMin = Math.max(actualXmin, x_min);
+			xPlotMax = Math.min(actualXmax, x_max);
+		}
+		min = 1 * (x_min == null ? xmin : xPlotMin );
+		max = 1 * (x_max == null ? xmax : xPlotMax );
+
+		point = function(t) { return [t, g(t)]; };
+		inside = function(p) { return isNum(p[1]) && p[1] > plotYmin && p[1] < plotYmax; };
+		graph = true;
+		// On a log x axis, sample evenly in log x: t is log x from here on
+		var ux = axisScale(logBase(0));
+		if (logBase(0) != null) {
+			var gx = g;
+			g = function(t) { return gx(ux.from(t)); };
+			point = function(t) { return [ux.from(t), g(t)]; };
+			min = ux.to(Math.max(min, actualXmin));
+			max = ux.to(max);
+		}
+	}
+
+	var options = plotOptions(points);
+	var samples = sampleCurve(point, min, max, options, inside);
+	var breaks = [];
+	if (graph) {
+		var dens = denominators(fun).map(function(den) { return function(t) { return den(ux.from(t)); }; });
+		breaks = findDiscontinuities(g, samples, min, max, plotYmin, plotYmax, dens);
+	}
+	if (graph) breaks.forEach(function(d) { d.x = ux.from(d.x); });
+	var jumpAt = [];
+	breaks.forEach(function(d) { if (d.type == "jump") jumpAt.push.apply(jumpAt, d.breaks); });
+
+	// Where an arm of y = g(x) runs off the plot range, it is carried on to
+	// the edge: to where the chord crosses it, or straight up or down
+	// beside a pole.
+	function toEdge(a, b) {
+		if (!graph || isNaN(b.p[1])) return null;
+		var edge = (b.p[1] > plotYmax ? plotYmax : plotYmin);
+		if (Math.abs(b.p[1]) == Infinity) return [a.p[0], edge];
+		return [a.p[0]+(b.p[0]-a.p[0])*(edge-a.p[1])/(b.p[1]-a.p[1]), edge];
+	}
+
+	//////////////////////////////////////////////
+	//
+	// Each run of samples inside the plot range, and between jumps, is its
+	// own path. If given id, it applies to the first arm only; this.path()
+	// names the rest. The extent of what was drawn is kept for gliders on
+	// this curve.
+	//
+	//////////////////////////////////////////////
+	var extent = {minX:Infinity, maxX:-Infinity, minY:Infinity, maxY:-Infinity};
+	var edge;
+	for (var k = 0; k <= samples.length; k++) {
+		var sm = samples[k];
+		if (k < samples.length && sm.ok && jumpAt.indexOf(k) == -1) {
+			if (pth.length == 0 && k > 0 && !samples[k-1].ok && (edge = toEdge(sm, samples[k-1]))) pth.push(edge);
+			pth.push(sm.p);
+			extent.minX = Math.min(extent.minX, sm.p[0]);
+			extent.maxX = Math.max(extent.maxX, sm.p[0]);
+			extent.minY = Math.min(extent.minY, sm.p[1]);
+			extent.maxY = Math.max(extent.maxY, sm.p[1]);
+			continue;
+		}
+		if (k < samples.length && !sm.ok && pth.length > 0 && (edge = toEdge(samples[k-1], sm))) pth.push(edge);
+		if (pth.length > 1) {
+			this.path(pth, id, null, sty);
+			id = null;
+			plotted = true;
+		}
+		pth = [];
+		if (k < samples.length && sm.ok) {
+			pth.push(sm.p);
+		}
+	}
+	brdPropsArr[brdID][plotId] = extent;
+
+	if (plotted === false) {
+		vlog("warn", "There are no points to plot. Are your xMin, xMax and yMin, yMax positioned correctly?");
+	}
+
+	// Asymptotes span the visible board; dots go on top of the curve
+	var dotted = function(d, y) {
+		return isNum(y) && y > actualYmin && y < actualYmax && d.x > actualXmin && d.x < actualXmax;
+	};
+	var same = function(y1, y2) {
+		return Math.abs(px([0, y1])[1]-px([0, y2])[1]) <= 2;
+	};
+	for (var j = 0; j < breaks.length; j++) {
+		var d = breaks[j];
+		if (d.type == "pole" && options.asymptotes) {
+			this.segment([d.x, actualYmin], [d.x, actualYmax], null, "5 4", sty);
+		} else if (d.type == "hole" && options.holes) {
+			var y = (d.left+d.right)/2;
+			if (dotted(d, y)) this.dot([d.x, y], "open", null, null, null, sty);
+			if (dotted(d, d.value) && !same(d.value, y)) this.dot([d.x, d.value], "closed", null, null, null, sty);
+		} else if (d.type == "jump" && options.jumps) {
+			if (dotted(d, d.left) && !same(d.left, d.value)) this.dot([d.x, d.left], "open", null, null, null, sty);
+			if (dotted(d, d.right) && !same(d.right, d.value)) this.dot([d.x, d.right], "open", null, null, null, sty);
+			if (dotted(d, d.value)) this.dot([d.x, d.value], "closed", null, null, null, sty);
+		}
+	}
+}
+
+///////////////////////////////////////
+//
+// plotParametric([x(t), y(t)], options, id, sty)
+//
+// options, besides those of ASVG.Config.plotDefaults:
+//   t: [tmin, tmax], default [0, 2pi]
+//   closed: true or false; by default a curve that ends where it began
+//           is closed, so it joins cleanly and can be filled
+//   arrows: true for an arrowhead halfway along, or how many to space out
+//           along t, pointing the way t increases
+//   markers: t values to mark with dots, each a number or {t, label, pos}
+//
+///////////////////////////////////////
+this.plotParametric = function(funs, options, id, sty) {
+	if (!Array.isArray(funs) || funs.length != 2) {
+		fail(ASVG.ExpressionError, "plotParametric needs [x(t), y(t)], not "+JSON.stringify(funs), funs);
+		return;
+	}
+	options = plotOptions(options);
+	var range = (options.t == null ? [0, 2*Math.PI] : options.t);
+	if (!Array.isArray(range) || !checkRange(range[0], range[1], "plotParametric t range")) return;
+	var f = (typeof funs[0] == "function" ? funs[0] : compile(funs[0], "t"));
+	var g = (typeof funs[1] == "function" ? funs[1] : compile(funs[1], "t"));
+	if (f == null || g == null) return;
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-plot-"+elementIdNum;
+	}
+	var tmin = range[0], tmax = range[1];
+	var plotRange = transform.plot;
+	var point = function(t) { return [f(t), g(t)]; };
+	var inside = function(p) {
+		return isNum(p[0]) && isNum(p[1]) && p[0] >= plotRange.xMin && p[0] <= plotRange.xMax &&
+			p[1] >= plotRange.yMin && p[1] <= plotRange.yMax;
+	};
+	var samples = sampleCurve(point, tmin, tmax, options, inside);
+
+	// Runs of samples inside the plot range, as pixel path data
+	var arms = [], arm = [];
+	samples.forEach(function(sm) {
+		if (sm.ok) {
+			arm.push(sm.P[0].toFixed(2)+","+sm.P[1].toFixed(2));
+		} else {
+			if (arm.length > 1) arms.push(arm);
+			arm = [];
+		}
+	});
+	if (arm.length > 1) arms.push(arm);
+	if (arms.length == 0) {
+		vlog("warn", "There are no points to plot. Is the t range right, and the curve on the board?");
+		return;
+	}
+	var first = samples[0], last = samples[samples.length-1];
+	var closed = options.closed;
+	if (closed == null) {
+		closed = (arms.length == 1 && first.ok && last.ok &&
+			Math.abs(first.P[0]-last.P[0]) < 0.5 && Math.abs(first.P[1]-last.P[1]) < 0.5);
+	}
+	for (var k = 0; k < arms.length; k++) {
+		var d = "M"+arms[k].join(" ");
+		if (closed && arms.length == 1) d += " Z";
+		this.path(d, (k == 0 ? id : null), null, sty);
+	}
+
+	var arrows = (options.arrows === true ? 1 : (isNum(options.arrows) ? options.arrows : 0));
+	var step = (tmax-tmin)*1e-3;
+	for (var j = 1; j <= arrows; j++) {
+		var t = tmin+(j-0.5)*(tmax-tmin)/arrows;
+		var p = point(t-step), q = point(t);
+		if (inside(p) && inside(q)) this.arrowhead(p, q, id+"-arrow"+j, sty);
+	}
+	(options.markers || []).forEach(function(m, i) {
+		var marker = (isNum(m) ? {t:m} : m);
+		var c = point(marker.t);
+		if (inside(c)) this.dot(c, "closed", marker.label, marker.pos, id+"-marker"+i, sty);
+	}, this);
+}
+
+///////////////////////////////////////
+//
+// plotPiecewise(pieces, options, id, sty)
+//
+// Plots each piece {expr, x:[a, b], closed:[left, right]} over its own
+// domain, with a filled dot at each end that is closed (the default) and an
+// open dot at each end that is not. An open dot under a closed one, where
+// pieces meet, is left out. options are passed on to plot().
+//
+///////////////////////////////////////
+this.plotPiecewise = function(pieces, options, id, sty) {
+	if (!Array.isArray(pieces) || pieces.length == 0) {
+		return fail(ASVG.ExpressionError, "plotPiecewise needs an array of pieces {expr, x:[a, b]}, not "+JSON.stringify(pieces), pieces);
+	}
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-plot-"+elementIdNum;
+	}
+	var plotRange = transform.plot, vis = transform.visible;
+	var ends = [], k, piece;
+	for (k = 0; k < pieces.length; k++) {
+		piece = pieces[k];
+		if (piece == null || piece.expr == null || !Array.isArray(piece.x)) {
+			return fail(ASVG.ExpressionError, "plotPiecewise piece "+k+" must be {expr, x:[a, b]}, not "+JSON.stringify(piece), piece);
+		}
+		if (!checkRange(piece.x[0], piece.x[1], "plotPiecewise piece "+k+" x range")) return;
+		var f = (typeof piece.expr == "function" ? piece.expr : compile(piece.expr, "x"));
+		if (f == null) return;
+		var a = piece.x[0], b = piece.x[1];
+		var closed = (Array.isArray(piece.closed) ? piece.closed : [true, true]);
+		var lo = Math.max(a, plotRange.xMin), hi = Math.min(b, plotRange.xMax);
+		if (lo < hi) this.plot(f, lo, hi, options, id+"-piece"+k, sty);
+		// An open end shows the limit from inside the piece
+		var nudge = (b-a)*1e-9;
+		[[a, a+nudge, closed[0] !== false], [b, b-nudge, closed[1] !== false]].forEach(function(end) {
+			if (end[0] < vis.xMin || end[0] > vis.xMax) return;
+			var y = (end[2] ? f(end[0]) : f(end[1]));
+			if (!isNum(y) || y < vis.yMin || y > vis.yMax) return;
+			ends.push({p:[end[0], y], closed:end[2]});
+		});
+	}
+	var same = function(p, q) {
+		var P = px(p), Q = px(q);
+		return Math.abs(P[0]-Q[0]) < 0.5 && Math.abs(P[1]-Q[1]) < 0.5;
+	};
+	ends.forEach(function(end, n) {
+		var covered = ends.some(function(other) { return other.closed && same(other.p, end.p); });
+		if (!end.closed && !covered) this.dot(end.p, "open", null, null, id+"-end"+n, sty);
+	}, this);
+	ends.forEach(function(end, n) {
+		if (end.closed) this.dot(end.p, "closed", null, null, id+"-end"+n, sty);
+	}, this);
+}
+
+///////////////////////////////////////
+//
+// plotPolar(r(theta), options, id, sty)
+//
+// r is a formula in theta (or the symbol ctheta); options are those of
+// plotParametric(), with the range given as theta: [min, max], default [0, 2pi].
+// r < 0 is plotted on the opposite side of the pole.
+//
+///////////////////////////////////////
+this.plotPolar = function(fun, options, id, sty) {
+	var r = (typeof fun == "function" ? fun : compile(fun, "theta"));
+	if (r == null) return;
+	options = (isNum(options) ? {maxPoints:options} : {...options});
+	var range = (options.theta == null ? [0, 2*Math.PI] : options.theta);
+	if (!Array.isArray(range) || !checkRange(range[0], range[1], "plotPolar theta range")) return;
+	options.t = range;
+	delete options.theta;
+	this.plotParametric([
+		function(t) { return r(t)*Math.cos(t); },
+		function(t) { return r(t)*Math.sin(t); }
+	], options, id, sty);
+}
+
+///////////////////////////////////////
+//
+// traceLevelCurves(F, resolution, range)
+//
+// Traces F(x,y) = 0 over range (by default the plot range) by marching
+// squares on a grid of cells about resolution pixels across. Where F changes
+// sign along a cell edge, the crossing is found by bisection, and dropped if
+// |F| grows instead (a pole rather than a root). Crossings shared by
+// neighbouring cells are joined into chains of pixel points, {points, closed};
+// open chains end on the edge of the range, or where F is undefined. A curve
+// running into a pole, as y = 1/x does, stops within a cell of it.
+//
+///////////////////////////////////////
+
+function traceLevelCurves(F, resolution, range) {
+	if (range == null) range = transform.plot;
+	var A = px([range.xMin, range.yMax]);
+	var B = px([range.xMax, range.yMin]);
+	var nx = Math.min(500, Math.max(1, Math.ceil((B[0]-A[0])/resolution)));
+	var ny = Math.min(500, Math.max(1, Math.ceil((B[1]-A[1])/resolution)));
+	var hx = (B[0]-A[0])/nx, hy = (B[1]-A[1])/ny;
+	// Grid lines are shifted off round coordinates like x = 0, where poles
+	// tend to be, but the outer ones stay on the edges of the range
+	var xs = [], ys = [], i, j;
+	for (i = 0; i <= nx+1; i++) xs.push(Math.min(B[0], Math.max(A[0], A[0]+(i-0.382)*hx)));
+	for (j = 0; j <= ny+1; j++) ys.push(Math.min(B[1], Math.max(A[1], A[1]+(j-0.382)*hy)));
+	nx++;
+	ny++;
+	var value = function(X, Y) {
+		var p = transform.toWorld([X, Y]);
+		var v = F(p[0], p[1]);
+		return (isFinite(v) ? v : NaN);
+	};
+	var grid = [];
+	for (i = 0; i <= nx; i++) {
+		grid[i] = [];
+		for (j = 0; j <= ny; j++) grid[i][j] = value(xs[i], ys[j]);
+	}
+
+	var crossings = {};
+	// Where F is 0 on the edge from node (i,j) along di, dj
+	function crossing(key, i, j, di, dj) {
+		if (key in crossings) return crossings[key];
+		var X = xs[i], Y = ys[j], DX = xs[i+di]-X, DY = ys[j+dj]-Y;
+		var v1 = grid[i][j], v2 = grid[i+di][j+dj];
+		var a = 0, b = 1, fa = v1, fb = v2, m, fm;
+		for (var k = 0; k < 10 && fa != 0 && fb != 0; k++) {
+			m = (a+b)/2;
+			fm = value(X+m*DX, Y+m*DY);
+			if (isNaN(fm)) return (crossings[key] = null);
+			if ((fm > 0) == (fa > 0)) { a = m; fa = fm; }
+			else { b = m; fb = fm; }
+		}
+		if (Math.min(Math.abs(fa), Math.abs(fb)) > Math.min(Math.abs(v1), Math.abs(v2))) {
+			return (crossings[key] = null);
+		}
+		var t = (fa == fb ? a : a+(b-a)*fa/(fa-fb));
+		return (crossings[key] = [X+t*DX, Y+t*DY]);
+	}
+
+	var links = {};
+	function link(e, f) {
+		if (crossing.apply(null, e) == null || crossing.apply(null, f) == null) return;
+		(links[e[0]] = links[e[0]] || []).push(f[0]);
+		(links[f[0]] = links[f[0]] || []).push(e[0]);
+	}
+	for (i = 0; i < nx; i++) {
+		for (j = 0; j < ny; j++) {
+			var v00 = grid[i][j], v10 = grid[i+1][j], v01 = grid[i][j+1], v11 = grid[i+1][j+1];
+			if (isNaN(v00) || isNaN(v10) || isNaN(v01) || isNaN(v11)) continue;
+			var s00 = v00 > 0, s10 = v10 > 0, s01 = v01 > 0, s11 = v11 > 0;
+			var edges = [
+				(s00 != s10 ? ["h"+i+","+j, i, j, 1, 0] : null),
+				(s10 != s11 ? ["v"+(i+1)+","+j, i+1, j, 0, 1] : null),
+				(s01 != s11 ? ["h"+i+","+(j+1), i, j+1, 1, 0] : null),
+				(s00 != s01 ? ["v"+i+","+j, i, j, 0, 1] : null)
+			];
+			var cut = edges.filter(function(e) { return e != null; });
+			if (cut.length == 2) {
+				link(cut[0], cut[1]);
+			} else if (cut.length == 4) {
+				// Saddle: the centre decides which pair of corners is cut off
+				if ((value((xs[i]+xs[i+1])/2, (ys[j]+ys[j+1])/2) > 0) == s00) {
+					link(edges[0], edges[1]);
+					link(edges[2], edges[3]);
+				} else {
+					link(edges[3], edges[0]);
+					link(edges[1], edges[2]);
+				}
+			}
+		}
+	}
+
+	// Open chains start at an end; what is left are loops
+	var chains = [], seen = {}, key;
+	function walk(start) {
+		var keys = [start], cur = start, next;
+		seen[start] = true;
+		while ((next = links[cur].find(function(k) { return !seen[k]; })) !== undefined) {
+			seen[next] = true;
+			keys.push(next);
+			cur = next;
+		}
+		chains.push({
+			points: keys.map(function(k) { return crossings[k]; }),
+			closed: keys.length > 2 && links[cur].indexOf(start) != -1
+		});
+	}
+	for (key in links) if (!seen[key] && links[key].length == 1) walk(key);
+	for (key in links) if (!seen[key]) walk(key);
+	return chains;
+}
+
+// Path data for a smooth curve through pixel points (Catmull-Rom splines)
+function smoothPathData(pts, closed) {
+	var n = pts.length, d = "M"+pts[0][0].toFixed(2)+","+pts[0][1].toFixed(2);
+	var at = function(k) { return (closed ? pts[(k+n)%n] : pts[Math.max(0, Math.min(n-1, k))]); };
+	for (var k = 0; k < (closed ? n : n-1); k++) {
+		var p0 = at(k-1), p1 = at(k), p2 = at(k+1), p3 = at(k+2);
+		d += " C"+(p1[0]+(p2[0]-p0[0])/6).toFixed(2)+","+(p1[1]+(p2[1]-p0[1])/6).toFixed(2)+
+			" "+(p2[0]-(p3[0]-p1[0])/6).toFixed(2)+","+(p2[1]-(p3[1]-p1[1])/6).toFixed(2)+
+			" "+p2[0].toFixed(2)+","+p2[1].toFixed(2);
+	}
+	return (closed ? d+" Z" : d);
+}
+
+///////////////////////////////////////
+//
+// plotImplicit("x^2 + y^2 = 4", options, id, sty)
+//
+// Draws the points where the two sides are equal, e.g. conics and
+// elliptic curves like "y^2 = x^3 - x". options:
+//   resolution: grid cell size in pixels, default 4; smaller finds
+//               smaller loops and sharper turns, at more evaluations
+//
+///////////////////////////////////////
+this.plotImplicit = function(equation, options, id, sty) {
+	options = {resolution:4, ...options};
+	if (!isNum(options.resolution) || options.resolution <= 0) {
+		return fail(ASVG.RangeError, "plotImplicit: resolution must be a number > 0, not "+options.resolution, options.resolution);
+	}
+	var F = (typeof equation == "function" ? {fun:equation} : compileRelation(equation, "x,y", ["="]));
+	if (F == null) return;
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-plot-"+elementIdNum;
+	}
+	var chains = traceLevelCurves(F.fun, options.resolution);
+	if (chains.length == 0) {
+		vlog("warn", "There are no points to plot. Does the curve cross the board?");
+		return;
+	}
+	chains.forEach(function(chain, k) {
+		this.path(smoothPathData(chain.points, chain.closed), (k == 0 ? id : null), null, sty);
+	}, this);
+}
+
+// Whether pixel point p is inside the polygon pts (even-odd rule)
+function insidePolygon(p, pts) {
+	var inside = false;
+	for (var i = 0, j = pts.length-1; i < pts.length; j = i++) {
+		if ((pts[i][1] > p[1]) != (pts[j][1] > p[1]) &&
+			p[0] < pts[j][0]+(p[1]-pts[j][1])*(pts[i][0]-pts[j][0])/(pts[i][1]-pts[j][1])) inside = !inside;
+	}
+	return inside;
+}
+
+///////////////////////////////////////
+//
+// shadeRegion(region, options, id, sty)
+//
+// Fills a region of the board, clipped to the visible range:
+//   "y <= 2x + 1", "x^2 + y^2 < 4": where the inequality holds; its boundary
+//       is drawn too, dashed for < and >
+//   [f(x), g(x)]: between the two curves, e.g. ["x^2", 0] for the area
+//       under x^2, from options.x[0] to options.x[1]
+// options:
+//   x: [a, b] for the region between curves, by default the board's x range
+//   boundary: false leaves an inequality's boundary undrawn
+//   resolution: as for plotImplicit()
+// Without a fill in sty, the region is shaded in the stroke colour.
+//
+///////////////////////////////////////
+this.shadeRegion = function(region, options, id, sty) {
+	options = {resolution:4, boundary:true, ...options};
+	if (!isNum(options.resolution) || options.resolution <= 0) {
+		return fail(ASVG.RangeError, "shadeRegion: resolution must be a number > 0, not "+options.resolution, options.resolution);
+	}
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-shade-"+elementIdNum;
+	}
+	var s = callStyle(sty);
+	var unfilled = (s.fill == null || s.fill == "none");
+	var fillSty = {...s, stroke:"none", fill:(unfilled ? s.stroke : s.fill), fillOpacity:(unfilled ? 0.25 : s.fillOpacity)};
+	var vis = transform.visible;
+	var A = px([vis.xMin, vis.yMax]), B = px([vis.xMax, vis.yMin]);
+	var fmt = function(P) { return P[0].toFixed(2)+","+P[1].toFixed(2); };
+
+	// Between two curves: down one and back along the other
+	if (Array.isArray(region)) {
+		if (region.length != 2) {
+			return fail(ASVG.ExpressionError, "shadeRegion needs an inequality or [f(x), g(x)], not "+JSON.stringify(region), region);
+		}
+		var f = (typeof region[0] == "function" ? region[0] : compile(region[0], "x"));
+		var g = (typeof region[1] == "function" ? region[1] : compile(region[1], "x"));
+		if (f == null || g == null) return;
+		var range = (options.x == null ? [vis.xMin, vis.xMax] : options.x);
+		if (!Array.isArray(range) || !checkRange(range[0], range[1], "shadeRegion x range")) return;
+		var lo = Math.max(range[0], vis.xMin), hi = Math.min(range[1], vis.xMax);
+		if (lo >= hi) {
+			vlog("warn", "There is no region to shade. Is the x range on the board?");
+			return;
+		}
+		var sampling = plotOptions(options);
+		var edge = function(h) {
+			return sampleCurve(function(x) { return [x, h(x)]; }, lo, hi, sampling, function(p) { return isNum(p[1]); })
+				.filter(function(sm) { return sm.ok; })
+				.map(function(sm) { return px([sm.p[0], Math.min(vis.yMax, Math.max(vis.yMin, sm.p[1]))]); });
+		};
+		var pts = edge(f).concat(edge(g).reverse());
+		if (pts.length < 3) {
+			vlog("warn", "There is no region to shade. Are the curves defined over the x range?");
+			return;
+		}
+		this.path("M"+pts.map(fmt).join(" ")+" Z", id, null, fillSty);
+		return;
+	}
+
+	// An inequality: the curves where it turns, closed around the edge of
+	// the board, fill by the even-odd rule; the whole board is added when
+	// that fills the wrong side
+	var R = compileRelation(region, "x,y", ["<", "<=", ">", ">="]);
+	if (R == null) return;
+	var F = R.fun, below = (R.relation.charAt(0) == "<"), strict = (R.relation.length == 1);
+	var chains = traceLevelCurves(F, options.resolution, vis);
+	var w = B[0]-A[0], h = B[1]-A[1];
+	var corners = [[A[0], A[1]], [B[0], A[1]], [B[0], B[1]], [A[0], B[1]]];
+	// Distance around the edge, clockwise from the top left corner: 0 to 4
+	var around = function(P) {
+		var d = [Math.abs(P[1]-A[1]), Math.abs(P[0]-B[0]), Math.abs(P[1]-B[1]), Math.abs(P[0]-A[0])];
+		var side = d.indexOf(Math.min(...d));
+		return side+[(P[0]-A[0])/w, (P[1]-A[1])/h, (B[0]-P[0])/w, (B[1]-P[1])/h][side];
+	};
+	var polygons = [], d = "";
+	chains.forEach(function(chain) {
+		var poly = chain.points.slice();
+		d += " "+smoothPathData(chain.points, chain.closed);
+		if (!chain.closed) {
+			var from = around(poly[poly.length-1]), to = around(poly[0]);
+			if (to <= from) to += 4;
+			for (var c = Math.floor(from)+1; c < to; c++) {
+				poly.push(corners[c%4]);
+				d += " L"+fmt(corners[c%4]);
+			}
+			d += " Z";
+		}
+		polygons.push(poly);
+	});
+
+	// Test the fill where the sign of F is clearest
+	var test = null, best = 0;
+	for (var i = 1; i <= 3; i++) {
+		for (var j = 1; j <= 3; j++) {
+			var P = [A[0]+i*w/4, A[1]+j*h/4], p = transform.toWorld(P), v = F(p[0], p[1]);
+			if (isFinite(v) && Math.abs(v) >= best) { best = Math.abs(v); test = {P:P, v:v}; }
+		}
+	}
+	if (test == null) {
+		vlog("warn", "There is no region to shade. Is the inequality defined on the board?");
+		return;
+	}
+	var filled = polygons.filter(function(poly) { return insidePolygon(test.P, poly); }).length%2 == 1;
+	if (filled != (below ? test.v < 0 : test.v > 0)) {
+		d = "M"+corners.map(fmt).join(" ")+" Z"+d;
+	}
+	if (d == "") {
+		vlog("warn", "There is no region to shade. Does the inequality hold on the board?");
+		return;
+	}
+	this.path(d.trim(), id, null, fillSty);
+	doc.getElementById(id).setAttribute("fill-rule", "evenodd");
+	if (options.boundary) {
+		var lineSty = {...s, fill:"none", dash:(strict ? "5 4" : s.dash)};
+		chains.forEach(function(chain, k) {
+			this.path(smoothPathData(chain.points, chain.closed), id+"-boundary"+k, null, lineSty);
+		}, this);
+	}
+}
+
+// Short segments of slope fun(x,y) at grid points dx, dy apart, as in
+// ASCIIsvg v1
+this.slopefield = function(fun,dx,dy,sty) {
+	var g = (typeof fun == "function" ? fun : compile(fun, "x,y"));
+	var gxy,x,y,u,v,dz;
+	if (dx==null) dx=1;
+	if (dy==null) dy=1;
+	if (g == null || !checkRange(0, dx, "slopefield dx") || !checkRange(0, dy, "slopefield dy")) return;
+	dz = Math.sqrt(dx*dx+dy*dy)/6;
+	var x_min = Math.ceil(xmin/dx);
+	var y_min = Math.ceil(ymin/dy);
+	for (x = x_min*dx; x <= xmax; x += dx)
+		for (y = y_min*dy; y <= ymax; y += dy) {
+			gxy = g(x,y);
+			if (!isNaN(gxy)) {
+				if (Math.abs(gxy)==Infinity) {u = 0; v = dz;}
+				else {u = dz/Math.sqrt(1+gxy*gxy); v = gxy*u;}
+				this.segment([x-u,y-v],[x+u,y+v],undefined,undefined,sty);
+			}
+		}
+}
+
+///////////////////////////////////////
+//
+// slopeField(fun, options, sty)
+//
+// Short tangent segments of slope fun(x,y) at grid points over the board,
+// all in one path. options:
+//   dx, dy: grid spacing, default 1; in powers of the base on a log axis
+//   length: segment length as a fraction of the grid spacing, default 0.6
+//
+///////////////////////////////////////
+this.slopeField = function(fun, options, sty) {
+	options = {dx:1, dy:1, length:0.6, ...options};
+	var g = (typeof fun == "function" ? fun : compile(fun, "x,y"));
+	if (g == null || !checkRange(0, options.dx, "slopeField dx") || !checkRange(0, options.dy, "slopeField dy")) return;
+	var half = options.length*Math.min(options.dx*transform.scale[0], options.dy*transform.scale[1])/2;
+	var ys = gridValues(1, options.dy), st = "";
+	gridValues(0, options.dx).forEach(function(x) {
+		ys.forEach(function(y) {
+			var m = g(x, y), u, v;
+			if (isNaN(m)) return;
+			// Direction on screen, as the axes may be scaled differently
+			var P = px([x, y]);
+			if (Math.abs(m) == Infinity) {
+				u = 0;
+				v = half;
+			} else {
+				var k = pixelsPerUnit([x, y]), r = Math.hypot(k[0], m*k[1]);
+				u = half*k[0]/r;
+				v = -half*m*k[1]/r;
+			}
+			st += " M"+(P[0]-u).toFixed(2)+","+(P[1]-v).toFixed(2)+" "+(P[0]+u).toFixed(2)+","+(P[1]+v).toFixed(2);
+		});
+	});
+	if (st != "") this.path(st.trim(), null, null, sty);
+}
 
+///////////////////////////////////////
+//
+// solutionCurve(fun, [x0,y0], options, id, sty)
+//
+// The solution of y' = fun(x,y) through (x0,y0), integrated forwards and
+// backwards by RK4 until it leaves the plot range. options:
+//   x: [a, b] to solve over, by default the plot range
+//   step: x step, default a pixel's width
+//   draggable: true for a dot at (x0,y0) that can be dragged to redraw
+//              the solution from there
+//
+///////////////////////////////////////
+this.solutionCurve = function(fun, start, options, id, sty) {
+	options = {...options};
+	var f = (typeof fun == "function" ? fun : compile(fun, "x,y"));
+	if (f == null || !checkPoint(start, "solutionCurve start")) return;
+	var plotRange = transform.plot;
+	var range = (options.x == null ? [plotRange.xMin, plotRange.xMax] : options.x);
+	if (!Array.isArray(range) || !checkRange(range[0], range[1], "solutionCurve x range")) return;
+	var h = (options.step == null ? 1/transform.scale[0] : options.step);
+	if (!checkRange(0, h, "solutionCurve step")) return;
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-solution-"+elementIdNum;
+	}
+	var lo = Math.max(range[0], plotRange.xMin), hi = Math.min(range[1], plotRange.xMax);
+	var inside = function(x, y) { return isNum(y) && Math.abs(y) != Infinity && y >= plotRange.yMin && y <= plotRange.yMax; };
+	// Points from (x0,y0) one way, up to the first one off the plot range
+	var solve = function(dir) {
+		var pts = [], x = start[0], y = start[1], step;
+		while (inside(x, y) && (dir > 0 ? x < hi : x > lo)) {
+			step = (dir > 0 ? Math.min(h, hi-x) : -Math.min(h, x-lo));
+			y = odeStep(f, x, y, step);
+			x += step;
+			if (!isNum(y)) break;
+			pts.push([x, y]);
+		}
+		return pts;
+	};
+	var pts = solve(-1).reverse().concat([start], solve(1));
+	var d = "M"+pts.map(function(p) {
+		var P = px([p[0], Math.max(plotRange.yMin, Math.min(plotRange.yMax, p[1]))]);
+		return P[0].toFixed(2)+","+P[1].toFixed(2);
+	}).join(" ");
+	this.path(d, id, null, sty);
+
+	if (options.draggable && gebi(id+"-start") == null) {
+		var s = callStyle(sty);
+		var dot = this.ASdot(start, s.dotRadius, s.stroke, s.stroke, id+"-start", sty);
+		brdPropsArr[brdID][id+"-start"]["solution"] = {fun:fun, options:options, id:id, sty:sty};
+		this.makeDraggable(dot);
+	}
 }
 
-var x;
-this.plot = function(fun, x_min, x_max, points, id) {
+///////////////////////////////////////
+//
+// Colour palettes for values, from low to high. paletteColor(palette, t)
+// interpolates one for 0 <= t <= 1; palette is a name below or an array
+// of "#rrggbb" colours.
+//
+///////////////////////////////////////
 
-	///////////////////////////////////////////
-	//
-	// xmin, xmax are board minimum, maximum
-	// x_min, x_max are graph domain limits
-	// min, max are used in for(t=min;t<max...
-	// 
-	////////////////////////////////////////////
+var palettes = {
+	viridis: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+	coolwarm: ["#3b4cc0", "#8db0fe", "#dddddd", "#f49a7b", "#b40426"],
+	grey: ["#f0f0f0", "#202020"]
+};
 
-	var pth = [];
-	var f = function(x) {
-		return x
-	};
-	var g = fun;
-	var name = null;
-	if (id!=null) {
-		// For animation/slider cases where 2nd type is created (may need more...?)
-		removeEle(id);
-		removeEle(id+"-0"); 
-		removeEle(id+"-1");     
-	} else {
-		elementIdNum++;  
-		id = svgID+"-plot-"+elementIdNum;  
+function paletteStops(palette) {
+	var stops = (Array.isArray(palette) ? palette : palettes[palette == null ? "viridis" : palette]);
+	if (stops == null || stops.length < 2 || !stops.every(function(c) { return /^#[0-9a-f]{6}$/i.test(c); })) {
+		fail(ASVG.RangeError, "Unknown palette: "+JSON.stringify(palette)+". Use one of "+Object.keys(palettes).join(", ")+
+			" or an array of \"#rrggbb\" colours", palette);
+		return null;
 	}
-	var idInc = 0;
-	var graphFn = [];
-	var q = [];
-	brdID = boundingDiv.id;
-	
-	var xDomain = brdPropsArr[brdID]["xMax"] - brdPropsArr[brdID]["xMin"];
-	var actualXmin = brdPropsArr[brdID]["actualXmin"];
-	var actualXmax = brdPropsArr[brdID]["actualXmax"];
-	
-	var actualYmin = brdPropsArr[brdID]["actualYmin"];
-	var actualYmax = brdPropsArr[brdID]["actualYmax"];
-
-	
-	var plotYmin = brdPropsArr[brdID]["plotYmin"];
-	var plotYmax = brdPropsArr[brdID]["plotYmax"];
-	
-	
-	
-	var pushBeforeYmin = true;
-	
-	// Y CASE!  YYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYYY
+	return stops;
+}
 
-	if (typeof fun == "string" && fun.indexOf("y") > -1) {
+function paletteColor(stops, t) {
+	t = Math.max(0, Math.min(1, t))*(stops.length-1);
+	var k = Math.min(Math.floor(t), stops.length-2), u = t-k, c = "#";
+	for (var i = 1; i < 7; i += 2) {
+		var a = parseInt(stops[k].substr(i, 2), 16), b = parseInt(stops[k+1].substr(i, 2), 16);
+		c += ("0"+Math.round(a+(b-a)*u).toString(16)).slice(-2);
+	}
+	return c;
+}
 
-		if (typeof fun=="string") {
-			eval("g = function(y){ with(Math) return "+mathjs(fun)+"; }");
-		} else if (typeof fun=="object") {
-			eval("f = function(t){ with(Math) return "+mathjs(fun[0])+" }");
-			eval("g = function(t){ with(Math) return "+mathjs(fun[1])+" }");
+// An arrowhead <marker> of the given colour, made once in the board's <defs>
+// and shared by every arrow of that colour. Returns the marker-end value.
+function arrowMarker(color) {
+	var markerId = svgID+"-arrow-"+String(color).replace(/\W/g, "");
+	if (gebi(markerId) == null) {
+		var defs = gebi(svgID+"-defs");
+		if (defs == null) {
+			defs = document.createElementNS('http://www.w3.org/2000/svg', "defs");
+			defs.setAttribute("id", svgID+"-defs");
+			gebi(svgID).insertBefore(defs, gebi(svgID).firstChild);
 		}
-		if (typeof x_min=="string") { name = x_min; x_min = xmin }
-			else name = id; 
+		makeSVG("marker", {id:markerId, viewBox:"0 0 10 10", refX:10, refY:5, markerWidth:8, markerHeight:8,
+			markerUnits:"userSpaceOnUse", orient:"auto"}, defs.id);
+		makeSVG("path", {d:"M0,1 L10,5 L0,9 Z", fill:color}, markerId);
+	}
+	return "url(#"+markerId+")";
+}
 
-		var min = (x_min==null?xmin:x_min);
-		var max = (x_max==null?xmax:x_max);
+function compileField(field, name) {
+	if (!Array.isArray(field) || field.length != 2) {
+		fail(ASVG.ExpressionError, name+" needs [P(x,y), Q(x,y)], not "+JSON.stringify(field), field);
+		return null;
+	}
+	var P = (typeof field[0] == "function" ? field[0] : compile(field[0], "x,y"));
+	var Q = (typeof field[1] == "function" ? field[1] : compile(field[1], "x,y"));
+	return (P == null || Q == null ? null : function(x, y) { return [P(x, y), Q(x, y)]; });
+}
 
-		var inc = max-min-0.000001*(max-min);
-		inc = (points==null?inc/200:inc/points);
-		var gt;
-		for (var t = min; t <= max; t += inc) {
-			gt = g(t);
-			pth.push([gt, f(t) ]);  // Note reversal
-		}
+///////////////////////////////////////
+//
+// vectorField([P(x,y), Q(x,y)], options, sty)
+//
+// Arrows for the vector (P,Q) centred on grid points over the board. Each is
+// one path sharing an arrowhead marker. options:
+//   dx, dy: grid spacing, default 1; in powers of the base on a log axis
+//   scale: arrow length per unit of the vector; by default the longest
+//          arrow fits the grid
+//   normalize: true to draw all arrows the same length, showing direction
+//   color: true to colour arrows by magnitude, using options.palette
+//   palette: see paletteColor(), default "viridis"
+//
+///////////////////////////////////////
+this.vectorField = function(field, options, sty) {
+	options = {dx:1, dy:1, scale:null, normalize:false, color:false, palette:"viridis", ...options};
+	var V = compileField(field, "vectorField");
+	if (V == null || !checkRange(0, options.dx, "vectorField dx") || !checkRange(0, options.dy, "vectorField dy")) return;
+	if (options.scale != null && !checkLength(options.scale, "vectorField scale")) return;
+	var stops = (options.color ? paletteStops(options.palette) : null);
+	if (options.color && stops == null) return;
+	var room = 0.9*Math.min(options.dx*transform.scale[0], options.dy*transform.scale[1]);
+	var ys = gridValues(1, options.dy), arrows = [], maxLen = 0;
+	gridValues(0, options.dx).forEach(function(x) {
+		ys.forEach(function(y) {
+			var v = V(x, y);
+			if (!isFinite(v[0]) || !isFinite(v[1])) return;
+			// The vector on screen, in pixels
+			var k = pixelsPerUnit([x, y]), d = [v[0]*k[0], -v[1]*k[1]], len = Math.hypot(d[0], d[1]);
+			arrows.push({p:[x, y], d:d, len:len});
+			maxLen = Math.max(maxLen, len);
+		});
+	});
+	if (maxLen == 0) return;
+	var s = callStyle(sty);
+	arrows.forEach(function(a) {
+		// Length on screen, in pixels
+		var size = (options.normalize ? room : (options.scale == null ? room/maxLen : options.scale)*a.len);
+		if (size < 1) return;
+		var C = px(a.p), ux = a.d[0]/a.len*size/2, uy = a.d[1]/a.len*size/2;
+		// Eight shades, so there are few markers
+		var color = (stops == null ? s.stroke : paletteColor(stops, Math.min(7, Math.floor(8*a.len/maxLen))/7));
+		var node = makeSVG("path", {d:"M"+(C[0]-ux).toFixed(2)+","+(C[1]-uy).toFixed(2)+" "+(C[0]+ux).toFixed(2)+","+(C[1]+uy).toFixed(2)}, svgID);
+		setAttrs(node, styleAttrs({...s, stroke:color, fill:"none"}));
+		node.setAttribute("marker-end", arrowMarker(color));
+	});
+}
 
+///////////////////////////////////////
+//
+// streamlines([P(x,y), Q(x,y)], options, sty)
+//
+// Flow lines of the field, followed both ways from each seed by RK4 steps
+// of a few pixels, until they leave the plot range, reach a point where the
+// field vanishes or come back to the start. options:
+//   seeds: points to start from; by default seeds fill the board, and a
+//          line stops when it comes within about spacing of another
+//   spacing: pixels between lines from the default seeds, default 24
+//   arrows: false to leave out the arrowhead halfway along each line
+//
+///////////////////////////////////////
+this.streamlines = function(field, options, sty) {
+	options = {seeds:null, spacing:24, arrows:true, ...options};
+	var V = compileField(field, "streamlines");
+	if (V == null) return;
+	if (options.seeds != null && !checkPoints(options.seeds, "streamlines seeds")) return;
+	if (!checkRange(0, options.spacing, "streamlines spacing")) return;
+	var plotRange = transform.plot, vis = transform.visible;
+	var xul = transform.scale[0], yul = transform.scale[1];
+	var h = 2, maxSteps = 2000;
+	// Unit speed on screen, so each step is h pixels long
+	var dir = function(p) {
+		var v = V(p[0], p[1]), len = Math.hypot(v[0]*xul, v[1]*yul);
+		return (isFinite(len) && len > 1e-12 ? [v[0]/len, v[1]/len] : null);
+	};
+	var step = function(p, sgn) {
+		var k1 = dir(p);
+		if (k1 == null) return null;
+		var k2 = dir([p[0]+sgn*h/2*k1[0], p[1]+sgn*h/2*k1[1]]);
+		if (k2 == null) return null;
+		var k3 = dir([p[0]+sgn*h/2*k2[0], p[1]+sgn*h/2*k2[1]]);
+		if (k3 == null) return null;
+		var k4 = dir([p[0]+sgn*h*k3[0], p[1]+sgn*h*k3[1]]);
+		if (k4 == null) return null;
+		return [p[0]+sgn*h/6*(k1[0]+2*k2[0]+2*k3[0]+k4[0]), p[1]+sgn*h/6*(k1[1]+2*k2[1]+2*k3[1]+k4[1])];
+	};
+	var inside = function(p) {
+		return p[0] >= plotRange.xMin && p[0] <= plotRange.xMax && p[1] >= plotRange.yMin && p[1] <= plotRange.yMax;
+	};
 
-	} else {
+	// Cells of the board already crossed by a line, for the default seeds.
+	// A seed needs its neighbouring cells free too, to start spacing away.
+	var crowd = (options.seeds == null), cellSize = options.spacing/2, taken = {};
+	var cell = function(p, di, dj) {
+		var P = px(p);
+		return (Math.floor(P[0]/cellSize)+(di || 0))+","+(Math.floor(P[1]/cellSize)+(dj || 0));
+	};
+	var crowded = function(p) {
+		for (var di = -1; di <= 1; di++) {
+			for (var dj = -1; dj <= 1; dj++) if (taken[cell(p, di, dj)]) return true;
+		}
+		return false;
+	};
+	var follow = function(seed, sgn) {
+		var pts = [], p = seed, S = px(seed), closed = false;
+		for (var k = 0; k < maxSteps; k++) {
+			p = step(p, sgn);
+			if (p == null || !inside(p) || (crowd && taken[cell(p)])) break;
+			pts.push(p);
+			var P = px(p);
+			if (k > options.spacing/h && Math.hypot(P[0]-S[0], P[1]-S[1]) < h) {
+				closed = true;
+				break;
+			}
+		}
+		return {pts:pts, closed:closed};
+	};
 
-		// X CASE! XXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX
-		
-		/////////////////////////////////////////
-		//
-		// LOGIC
-		//
-		// CASE 0: If continuous and all within graph limits, plot it and give it id
-		// CASE 1: Goes outside upper or lower graph limits - break and send to this.path() - give idInc extension for id
-				
-		if (typeof fun == "string") {
-			eval("g = function(x){ with(Math) return " + mathjs(fun) + "; }");
-		} else if (typeof fun == "number") {
-			eval("g = function(x){ return " + fun + "; }");
-		} else if (typeof fun == "object") {
-			eval("f = function(t){ with(Math) return " + mathjs(fun[0]) + "; }");
-			eval("g = function(t){ with(Math) return " + mathjs(fun[1]) + "; }");
+	var seeds = options.seeds;
+	if (seeds == null) {
+		seeds = [];
+		var gx = options.spacing/xul, gy = options.spacing/yul;
+		for (var x = vis.xMin+gx/2; x < vis.xMax; x += gx) {
+			for (var y = vis.yMin+gy/2; y < vis.yMax; y += gy) seeds.push([x, y]);
 		}
-		if(plotBeyondXVis) { // For animation cases, e.g. standing wave: /trigonometric-graphs/6-composite-trigonometric-graphs.php
-			xPlotMin = x_min;
-			xPlotMax = x_max;
-		} else {
-			xPlotMin = Math.max(actualXmin, x_min);
-			xPlotMax = Math.min(actualXmax, x_max);
+	}
+	var s = callStyle(sty), d = "";
+	var lineSty = {...s, fill:"none"};
+	seeds.forEach(function(seed) {
+		if (crowd && crowded(seed)) return;
+		var ahead = follow(seed, 1);
+		var pts = (ahead.closed ? [] : follow(seed, -1).pts.reverse()).concat([seed], ahead.pts);
+		if (pts.length < 3) return;
+		d += " M"+pts.map(function(p) { var P = px(p); return P[0].toFixed(2)+","+P[1].toFixed(2); }).join(" ")+(ahead.closed ? " Z" : "");
+		if (crowd) pts.forEach(function(p) { taken[cell(p)] = true; });
+		if (options.arrows) {
+			var m = Math.floor(pts.length/2), A = px(pts[m-1]), B = px(pts[m]);
+			var node = makeSVG("path", {d:"M"+A[0].toFixed(2)+","+A[1].toFixed(2)+" "+B[0].toFixed(2)+","+B[1].toFixed(2)}, svgID);
+			setAttrs(node, styleAttrs(lineSty));
+			node.setAttribute("marker-end", arrowMarker(s.stroke));
 		}
-		var min = 1 * (x_min == null ? xmin : xPlotMin );
-		var max = 1 * (x_max == null ? xmax : xPlotMax );
-		var gt, gtRem = g(min),
-			slopRem = 0,
-			plotIt = false,
-			plotted = false,
-			changeSigns = false;
-		var xDomain = max - min;
-		var slop = 0;   
-		var dom = 0.999999 * xDomain;
-		var inc = (points == null ? dom / 250 : dom / points);    
+	});
+	if (d != "") this.path(d.trim(), null, null, lineSty);
+}
 
-		
-		gtPrevPix = boardHeight - (origin[1] + g(min-inc) * yunitlength);
-		gtPix = boardHeight - (origin[1] + g(min) * yunitlength);
-		gtNextPix = boardHeight - (origin[1] + g(min+inc) * yunitlength);
-		
-		var slopNextPix = (gtPix - gtNextPix)/inc;
-		slopPixRem = (gtPix - gtPrevPix)/inc;
-		
-		pushFlag = false;
-		slopSwingFlag = false;
+// A round step (1, 2 or 5 times a power of 10) giving about count steps in span
+function niceStep(span, count) {
+	var raw = span/count, p = Math.pow(10, Math.floor(Math.log10(raw)));
+	return p*(raw/p < 1.5 ? 1 : (raw/p < 3.5 ? 2 : (raw/p < 7.5 ? 5 : 10)));
+}
 
-		if( typeof(brdPropsArr[brdID][id]) == "undefined") {
-			brdPropsArr[brdID][id] = [];
-		}
-		brdPropsArr[brdID][id]["minX"] = 1000000000;
-		brdPropsArr[brdID][id]["maxX"] = -1000000000;
-		brdPropsArr[brdID][id]["minY"] = 1000000000;
-		brdPropsArr[brdID][id]["maxY"] = -1000000000;
+function formatLevel(v) {
+	return String(parseFloat(v.toPrecision(4)));
+}
+
+// The plotting area inside the padding, where contours and heatmaps go
+function plottingArea() {
+	return {xMin:xmin, xMax:xmax, yMin:ymin, yMax:ymax};
+}
 
-		if( !plotBeyondYVis) {
-			actualYmax = ymax;
-			actualYmin = ymin;
+// Values of fun(x,y) at the centres of an nx by ny grid of equal cells on
+// screen over area, by column
+function sampleGrid(f, area, nx, ny) {
+	var A = px([area.xMin, area.yMax]), B = px([area.xMax, area.yMin]), values = [];
+	for (var i = 0; i < nx; i++) {
+		values[i] = [];
+		for (var j = 0; j < ny; j++) {
+			var p = transform.toWorld([A[0]+(i+0.5)*(B[0]-A[0])/nx, A[1]+(j+0.5)*(B[1]-A[1])/ny]);
+			var v = f(p[0], p[1]);
+			values[i][j] = (isFinite(v) ? v : NaN);
 		}
-		
-		// For testing
-		colorsArr = ["#f08","#0f8","#8f0","#f80","#08f","#80f","#338","#f8f","#f00","#0f0","#f0f","#5f5",
-						"#f08","#0f8","#8f0","#f80","#08f","#80f","#338","#f8f","#f00","#0f0","#f0f","#5f5",
-						"#f08","#0f8","#8f0","#f80","#08f","#80f","#338","#f8f","#f00","#0f0","#f0f","#5f5"];
-		
+	}
+	return values;
+}
 
-		var incRem = inc;
-		var incSub = 20;
-		var inc = inc/incSub;
-		var sub = 0;
-						
-		
-		for (t = min; t < max; t += inc) {
-			
-			/////////////////////
-			//
-			// Include "0"
-			//
-			/////////////////////
+// The range of most of the values, leaving out the extreme 2% each side
+// (near a pole, say), unless range is given
+function valueRange(values, range, name) {
+	if (range != null) return (Array.isArray(range) && checkRange(range[0], range[1], name+" range") ? range : null);
+	var all = [].concat(...values).filter(function(v) { return !isNaN(v); }).sort(function(a, b) { return a-b; });
+	if (all.length == 0) {
+		vlog("warn", name+": the function is not defined on the board");
+		return null;
+	}
+	var lo = all[Math.floor(0.02*(all.length-1))], hi = all[Math.ceil(0.98*(all.length-1))];
+	return (lo < hi ? [lo, hi] : [lo-1, lo+1]);
+}
 
-			if (t !== 0 && sign(t) == -1 && sign(t + inc) == 1) {
-				if(sign(t) == -1) {
-					t = -0.000000000001;
-				}
-			} 
-			if (t !== 0 && sign(t-inc) == -1 && sign(t) == 1) {
-				if(sign(t) == 1) {
-					t = 0.0000000001;
-				}
-			}           
-			gtPrev = g(t-inc);
-			gt = g(t);
-			gtNext = g(t+inc);
-			gtNextNext = g(t+2*inc);
-			slopCart = (gtRem - gt) / inc;
-//console.log(t,gt)           
-			gtPrevPix = boardHeight - (origin[1] + gtPrev * yunitlength);
-			gtPix = boardHeight - (origin[1] + gt * yunitlength);
-			gtNextPix = boardHeight - (origin[1] + gtNext * yunitlength);
-			//      
-			slopPrevPix = (gtPrevPix - gtPix)/inc;
-			slopNextPix = (gtPix - gtNextPix) / inc;
-			//
-			gtIsNum =  (!isNaN(gt) && Math.abs(gt)!="Infinity") ? true : false;
-			gtisLessPlotYmin = (gt < plotYmin) ? true : false;
-			gtBetweenMins = (gt > plotYmin && gt < actualYmin) ? true : false;      
-			aveMins = 0.5*(plotYmin + actualYmin);      
-			gtPrevVis = (gtPrev > actualYmin && gtPrev < actualYmax) ? true : false;
-			gtVis = (gt > actualYmin && gt < actualYmax) ? true : false;      
-			gtNextVis = (gtNext > actualYmin && gtNext < actualYmax) ? true : false;      
-			gtBetweenMaxs = (gt > actualYmax && gt < plotYmax) ? true : false;
-			gtisMorePlotYmax = (gt > plotYmax) ? true : false;      
-			aveMaxs = 0.5*(actualYmax + plotYmax);      
-			slopSwingFlag = false;
-			
-			
-			if( Math.abs(slopPrevPix)>500 && Math.abs(slopNextPix)>500 && sign(slopPrevPix) != sign(slopNextPix) ) {
-				slopSwingFlag = true;
-			}
-			
-			
-			if(gt == "-Infinity") {
-				pth.push([t, plotYmin+0.00001]);
-			}
-			if(gt == "Infinity") {
-				pth.push([t, plotYmax-0.00001]);
-			}
-			
-			////////////////////////////////////
-			//
-			// MAIN push
-			//
-			////////////////////////////////////
-			
-			if(gt > plotYmin && gt < plotYmax) {
-				if(sub%incSub == 0 
-					|| (slopPrevPix < -400 && gt > plotYmin)
-					|| (slopPrevPix > 400 && gt < plotYmax) ) {
-					pth.push([t, gt]);
-					
-					/*dotradius = 1.5;
-					stroke = "#165a71";
-					strokewidth = 1.5;                    
-					this.dot([t,gt]);*/
-				}
-				sub++;
-			} else {
-				if(pth.length > 2) {
-					
-					//stroke = colorsArr[idInc];
-//console.log("pthLen=",pth.length) 
-//console.log("id="+typeof(id)) 
-					if(typeof(id) == "string") {
-						// If given id, applies for first arm of graph only
-						// Subsequent ids are generated by this.path() fn.
-						this.path(pth, id);
-						id = null;
-					} else {
-						this.path(pth);
-					}
-					pth = [];
-					plotted = true;
-					pushBeforeYmin = true;
-					idInc++;
-					sub = 0;
-				}
+///////////////////////////////////////
+//
+// contour(fun, options, id, sty)
+//
+// Level curves fun(x,y) = c over the plotting area, each labelled with c.
+// options:
+//   levels: the values c; by default about 8 round values spanning fun
+//   labels: false to leave the curves unlabelled
+//   color: true to colour the levels using options.palette
+//   palette: see paletteColor(), default "viridis"
+//   resolution: as for plotImplicit()
+//
+///////////////////////////////////////
+this.contour = function(fun, options, id, sty) {
+	options = {levels:null, labels:true, color:false, palette:"viridis", resolution:4, ...options};
+	var f = (typeof fun == "function" ? fun : compile(fun, "x,y"));
+	if (f == null) return;
+	if (!isNum(options.resolution) || options.resolution <= 0) {
+		return fail(ASVG.RangeError, "contour: resolution must be a number > 0, not "+options.resolution, options.resolution);
+	}
+	var stops = (options.color ? paletteStops(options.palette) : null);
+	if (options.color && stops == null) return;
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-contour-"+elementIdNum;
+	}
+	var area = plottingArea(), levels = options.levels;
+	if (levels == null) {
+		var range = valueRange(sampleGrid(f, area, 40, 40), null, "contour");
+		if (range == null) return;
+		var step = niceStep(range[1]-range[0], 8);
+		levels = [];
+		for (var c = Math.ceil(range[0]/step)*step; c <= range[1]; c += step) levels.push(Math.round(c/step)*step);
+	} else if (!Array.isArray(levels) || !levels.every(isNum)) {
+		return fail(ASVG.RangeError, "contour: levels must be an array of numbers, not "+JSON.stringify(levels), levels);
+	}
+	var s = callStyle(sty);
+	var bg = gebi("brdBg_"+brdID);
+	var labelSty = {fontSize:11, textColor:s.textColor, stroke:(bg == null ? "white" : bg.getAttribute("fill"))};
+	var lo = Math.min(...levels), hi = Math.max(...levels), labelled = 0;
+	levels.forEach(function(level, k) {
+		var chains = traceLevelCurves(function(x, y) { return f(x, y)-level; }, options.resolution, area);
+		if (chains.length == 0) return;
+		var color = (stops == null ? s.stroke : paletteColor(stops, (hi > lo ? (level-lo)/(hi-lo) : 0.5)));
+		var d = chains.map(function(chain) { return smoothPathData(chain.points, chain.closed); }).join(" ");
+		this.path(d, id+"-level"+k, null, {...s, stroke:color, fill:"none"});
+		if (!options.labels) return;
+		// Halfway along each curve long enough to take a label, on a halo
+		// of the board colour
+		chains.forEach(function(chain) {
+			var pts = chain.points, len = 0, i;
+			for (i = 1; i < pts.length; i++) len += Math.hypot(pts[i][0]-pts[i-1][0], pts[i][1]-pts[i-1][1]);
+			if (len < 80) return;
+			for (i = 1, len /= 2; i < pts.length-1 && len > 0; i++) len -= Math.hypot(pts[i][0]-pts[i-1][0], pts[i][1]-pts[i-1][1]);
+			var labelId = id+"-label"+(labelled++);
+			this.text(transform.toWorld(pts[i]), formatLevel(level), null, labelId, undefined, undefined, labelSty);
+			var node = gebi(labelId);
+			if (node != null) {
+				node.setAttribute("stroke-width", 3);
+				node.setAttribute("paint-order", "stroke");
 			}
+		}, this);
+	}, this);
+}
 
+///////////////////////////////////////
+//
+// heatmap(fun, options, id, sty)
+//
+// Colours the plotting area by fun(x,y), in cells of options.resolution
+// pixels (default 8), with a colour bar beside the board. Cells of each
+// shade are one path. options:
+//   palette: see paletteColor(), default "viridis"
+//   range: [low, high] values for the ends of the palette; by default most
+//          of the values of fun on the board
+//   colorBar: false to leave out the colour bar
+//
+///////////////////////////////////////
+this.heatmap = function(fun, options, id, sty) {
+	options = {palette:"viridis", resolution:8, range:null, colorBar:true, ...options};
+	var f = (typeof fun == "function" ? fun : compile(fun, "x,y"));
+	if (f == null) return;
+	if (!isNum(options.resolution) || options.resolution <= 0) {
+		return fail(ASVG.RangeError, "heatmap: resolution must be a number > 0, not "+options.resolution, options.resolution);
+	}
+	var stops = paletteStops(options.palette);
+	if (stops == null) return;
+	if (id == null) {
+		elementIdNum++;
+		id = svgID+"-heatmap-"+elementIdNum;
+	}
+	var area = plottingArea();
+	var A = px([area.xMin, area.yMax]), B = px([area.xMax, area.yMin]);
+	var nx = Math.min(400, Math.max(1, Math.round((B[0]-A[0])/options.resolution)));
+	var ny = Math.min(400, Math.max(1, Math.round((B[1]-A[1])/options.resolution)));
+	var w = (B[0]-A[0])/nx, h = (B[1]-A[1])/ny;
+	var values = sampleGrid(f, area, nx, ny);
+	var range = valueRange(values, options.range, "heatmap");
+	if (range == null) return;
+
+	var shades = 32, cells = [], i, j, k;
+	for (i = 0; i < nx; i++) {
+		for (j = 0; j < ny; j++) {
+			if (isNaN(values[i][j])) continue;
+			k = Math.max(0, Math.min(shades-1, Math.floor(shades*(values[i][j]-range[0])/(range[1]-range[0]))));
+			cells[k] = (cells[k] || "")+" M"+(A[0]+i*w).toFixed(2)+","+(A[1]+j*h).toFixed(2)+
+				" h"+w.toFixed(2)+" v"+h.toFixed(2)+" h"+(-w).toFixed(2)+" Z";
 		}
 	}
-
-	if (pth.length > 1) {
-//console.log(id) 
-//console.log("pthLenEnd=",pth.length)  
-		this.path(pth, id);   
-		pth = [];
-	} else if (plotted === false) {
-		console.log("There are no points to plot. Are your xMin, xMax and yMin, yMax positioned correctly?");
+	var s = callStyle(sty);
+	cells.forEach(function(d, k) {
+		if (d == null) return;
+		var node = makeSVG("path", {id:id+"-shade"+k, d:d.trim(), fill:paletteColor(stops, (k+0.5)/shades),
+			stroke:"none", "shape-rendering":"crispEdges"}, svgID);
+		if (s.opacity != null) node.setAttribute("opacity", s.opacity);
+	});
+
+	// Colour bar: an HTML block beside the board, like HTML text()
+	if (!options.colorBar) return;
+	var svgNS = 'http://www.w3.org/2000/svg';
+	var element = function(tag, attrs, parent) {
+		var el = document.createElementNS(svgNS, tag);
+		setAttrs(el, attrs);
+		parent.appendChild(el);
+		return el;
+	};
+	var barHeight = B[1]-A[1], fontSize = 11;
+	var bar = document.createElement("div");
+	bar.id = id+"-colorbar";
+	bar.className = "svgHtml asvg-colorbar";
+	bar.setAttribute("style", "position:absolute;top:"+Math.round(A[1]-fontSize/2)+"px;left:"+(boardWidth+8)+"px;");
+	var legend = element("svg", {width:60, height:barHeight+fontSize}, bar);
+	var gradient = element("linearGradient", {id:id+"-gradient", x1:0, y1:1, x2:0, y2:0}, element("defs", {}, legend));
+	stops.forEach(function(c, n) {
+		element("stop", {offset:(n/(stops.length-1)).toFixed(3), "stop-color":c}, gradient);
+	});
+	element("rect", {x:0, y:fontSize/2, width:12, height:barHeight, fill:"url(#"+id+"-gradient)", stroke:s.axesStrokeColor, "stroke-width":0.5}, legend);
+	var step = niceStep(range[1]-range[0], 5);
+	for (var v = Math.ceil(range[0]/step)*step; v <= range[1]+step*1e-9; v += step) {
+		var y = fontSize/2+barHeight*(1-(v-range[0])/(range[1]-range[0]));
+		element("line", {x1:12, y1:y.toFixed(2), x2:16, y2:y.toFixed(2), stroke:s.axesStrokeColor}, legend);
+		element("text", {x:18, y:(y+fontSize/3).toFixed(2), "font-size":fontSize, "font-family":s.fontFamily, fill:s.textColor}, legend)
+			.textContent = formatLevel(Math.round(v/step)*step);
 	}
+	boundingDiv.appendChild(bar);
 }
 
-this.polygon = function(ptsArr,id) { 
+this.polygon = function(ptsArr,id,sty) { 
+	if (!checkPoints(ptsArr, "polygon")) return;
 	var node;
 	if (id!=null) {
 		node = doc.getElementById(id);
@@ -1926,17 +4885,14 @@ this.polygon = function(ptsArr,id) {
 	}
 	var ptsTxt = '';
 	for(var i=0; i<ptsArr.length; i++ ) {   
-		ptsTxt += (ptsArr[i][0]*xunitlength+origin[0]).toFixed(2) + "," + (boardHeight-ptsArr[i][1]*yunitlength-origin[1]).toFixed(2) + " ";
+		ptsTxt += px(ptsArr[i])[0].toFixed(2) + "," + px(ptsArr[i])[1].toFixed(2) + " ";
 	}  
 	node.setAttribute("points", ptsTxt);
-	node.setAttribute("stroke-width", strokewidth);
-	node.setAttribute("stroke-opacity", strokeopacity);
-	node.setAttribute("stroke", stroke);
-	node.setAttribute("fill", fill);
-	node.setAttribute("fill-opacity", fillopacity);
+	setAttrs(node, styleAttrs(callStyle(sty)));
 }
 
-this.rect = function(p,q,id,rx,ry) { // opposite corners in units, rounded by radii
+this.rect = function(p,q,id,rx,ry,sty) { // opposite corners in units, rounded by radii
+	if (!checkPoint(p, "rect p") || !checkPoint(q, "rect q")) return;
 	var node;
 	if (id!=null) {
 		node = doc.getElementById(id);
@@ -1947,16 +4903,14 @@ this.rect = function(p,q,id,rx,ry) { // opposite corners in units, rounded by ra
 	if (node==null) {
 		node = makeSVG("rect", {id:id}, svgID);
 	}
-	node.setAttribute("x",(p[0]*xunitlength+origin[0]).toFixed(2));
-	node.setAttribute("y",(boardHeight-q[1]*yunitlength-origin[1]).toFixed(2));
-	node.setAttribute("width",((q[0]-p[0])*xunitlength).toFixed(2));
-	node.setAttribute("height",((q[1]-p[1])*yunitlength).toFixed(2));
-	if (rx!=null) node.setAttribute("rx",(rx*xunitlength).toFixed(2));
-	if (ry!=null) node.setAttribute("ry",(ry*yunitlength).toFixed(2));
-	node.setAttribute("stroke-width", strokewidth);
-	node.setAttribute("stroke", stroke);
-	node.setAttribute("fill", fill);
-	node.setAttribute("fill-opacity", fillopacity);
+	var P = px(p), Q = px(q);
+	node.setAttribute("x",P[0].toFixed(2));
+	node.setAttribute("y",Q[1].toFixed(2));
+	node.setAttribute("width",(Q[0]-P[0]).toFixed(2));
+	node.setAttribute("height",(P[1]-Q[1]).toFixed(2));
+	if (rx!=null) node.setAttribute("rx",(rx*transform.scale[0]).toFixed(2));
+	if (ry!=null) node.setAttribute("ry",(ry*transform.scale[1]).toFixed(2));
+	setAttrs(node, styleAttrs(callStyle(sty)));
 }
 
 function strip_tags(html) {
@@ -1965,27 +4919,34 @@ function strip_tags(html) {
 	 return tmp.textContent||tmp.innerText;
 }
 
-this.text = function(p,str,pos,id,fontsty,fontfam) {
+this.text = function(p,str,pos,id,fontsty,fontfam,sty) {
+	if (!checkPoint(p, "text position")) return;
 //console.log("hyar: "+id, p, str); 
 
-
-	xunitlength = brdPropsArr[brdID]["XuL"];
-	yunitlength = brdPropsArr[brdID]["YuL"];
+	var P = px(p);
 	if(typeof(fontsty) == "undefined"){
 		fontsty = '';
 	}
+	// Text is only outlined or colored when asked to, not from the shape defaults
+	var s = callStyle(sty);
+	var fsize = Number(s.fontSize);
+	var txtClass = (s.className == null ? s.textClassName : s.className);
+	var txtWeight = (sty == null || sty.fontWeight == null ? fontweight : sty.fontWeight);
+	var txtStroke = (sty == null ? fontstroke : sty.stroke);
+	var txtFill = (sty == null ? fontfill : (sty.fill == null ? s.textColor : sty.fill));
+	var txtFont = (sty == null ? "" : "font-family:"+s.fontFamily+";"+(sty.fontStyle == null ? "" : "font-style:"+sty.fontStyle+";"));
 		var textanchor = "middle";
-		var dx = 0; var dy = fontsize/3;
+		var dx = 0; var dy = fsize/3;
 		if (pos!=null) {
-		if (pos.slice(0,5)=="above") dy = -fontsize/2;
-		if (pos.slice(0,5)=="below") dy = fontsize+4;
+		if (pos.slice(0,5)=="above") dy = -fsize/2;
+		if (pos.slice(0,5)=="below") dy = fsize+4;
 		if (pos.slice(0,5)=="right" || pos.slice(5,10)=="right") {
 			textanchor = "start";
-			dx = fontsize/2;
+			dx = fsize/2;
 		}
 		if (pos.slice(0,4)=="left" || pos.slice(5,9)=="left") {
 			textanchor = "end";
-			dx = -fontsize/2;
+			dx = -fsize/2;
 		}
 		}
 	
@@ -1997,16 +4958,16 @@ this.text = function(p,str,pos,id,fontsty,fontfam) {
 	var strTxt = strip_tags(str); // Test for HTML tags or entities
 	
 	if( isNaN(str) && str.length != strTxt.length) {
-		newDiv = document.createElement('div');
+		var newDiv = document.createElement('div');
 			
 		newDiv.id = id;
-		newDiv.className = "svgHtml intmath";
-		newDiv.setAttribute("style", "position:absolute;top:"+ Math.round(boardHeight - p[1]*yunitlength - origin[1]-padding + dy)+"px;left:"+ Math.round(p[0]*xunitlength+origin[0] + dx - 5) +"px;"+fontsty);
+		newDiv.className = "svgHtml "+txtClass;
+		newDiv.setAttribute("style", "position:absolute;top:"+ Math.round(P[1]-padding + dy)+"px;left:"+ Math.round(P[0] + dx - 5) +"px;"+
+			txtFont+(txtFill!=null && txtFill!="none" ? "color:"+txtFill+";" : "")+fontsty);
 		if(str == "&nbsp;") {
 			str = '';
 		}
 		newDiv.innerHTML = str;
-		boundingDiv = gebi(brdID);
 		boundingDiv.appendChild(newDiv);
 		
 	////////////////////////////////////////
@@ -2026,25 +4987,26 @@ this.text = function(p,str,pos,id,fontsty,fontfam) {
 		node = makeSVG("text", {id:id}, svgID);
 		}
 		node.textContent = strTxt;
-		node.setAttribute("x",(p[0]*xunitlength+origin[0]+dx).toFixed(2));
-		node.setAttribute("y",(boardHeight-p[1]*yunitlength-origin[1]+dy).toFixed(2));
+		node.setAttribute("x",(P[0]+dx).toFixed(2));
+		node.setAttribute("y",(P[1]+dy).toFixed(2));
 		if(fontsty!=null) {
 		node.setAttribute("style",((fontsty!=null && typeof(fontsty)!="undefined")?fontsty:fontstyle));
 		}
 		
-		node.setAttribute("class", txtLabelsClass);
+		node.setAttribute("class", txtClass);
 		if(id.indexOf("AxVbl") > -1) { // For axes labels
 		var fs = 16;
 		} else {
-		 fs = fontsize;
+		 fs = fsize;
 		} 
 
 		// Need to set this as style, to override page CSS
-		node.setAttribute("style", "font-size:"+fs+"px");
-		node.setAttribute("font-weight",fontweight);
+		node.setAttribute("style", "font-size:"+fs+"px;"+txtFont);
+		node.setAttribute("font-weight",txtWeight);
 		node.setAttribute("text-anchor",textanchor);
-		if (fontstroke!="none") node.setAttribute("stroke",fontstroke);
-		if (fontfill!="none") node.setAttribute("fill",fontfill);
+		if (txtStroke!=null && txtStroke!="none") node.setAttribute("stroke",txtStroke);
+		if (txtFill!=null && txtFill!="none") node.setAttribute("fill",txtFill);
+		if (s.opacity!=null) node.setAttribute("opacity",s.opacity);
 	}
 
 		return p;
@@ -2064,143 +5026,30 @@ function chopZ(st) {
 	return st.slice(0,i+1);
 }
 
-// temp expose for debug
-//function mathjs(st) {
-this.mathjs = function(st) {
-
-	// Translate a math formula to js function notation
-	// e.g. a^b --> pow(a,b), na --> n*a, (...)d --> (...)*d
-	// n! --> factorial(n), sin^-1 --> arcsin etc.
-	// While ^ in string, find term on left and right slice and concat new formula string
-	
-	st = st.replace(/\s/g,"");
-	if (st == "e") return "Math.E";
-	
-	st = st.replace(/((?:sin|cos|tan|sec|csc|cot)[h]?)\^(?:-1|\(-1\))/g,"arc$1");
-	st = st.replace(/^e([^a-z])/gi,"(E)$1");
-	st = st.replace(/([^a-z])e([^a-z])/gi,"$1(E)$2");
-	st = st.replace(/(\d)([\(a-z])/gi,"$1*$2");
-	st = st.replace(/\)([\(\da-z])/gi,"\)*$1");
-	st = st.replace(/log/g,"Math.log10");
-
-	var i,j,k, ch, nested;
-	while ((i=st.indexOf("^"))!=-1) {
-		//find left argument
-		if (i==0) return "Error: missing argument";
-		j = i-1;
-		ch = st.charAt(j);
-		if (ch>="0" && ch<="9") {// look for (decimal) number
-			j--;
-			while (j>=0 && (ch=st.charAt(j))>="0" && ch<="9") j--;
-			if (ch==".") {
-				j--;
-				while (j>=0 && (ch=st.charAt(j))>="0" && ch<="9") j--;
-			}
-		} else if (ch==")") {// look for matching opening bracket and function name
-			nested = 1;
-			j--;
-			while (j>=0 && nested>0) {
-				ch = st.charAt(j);
-				if (ch=="(") nested--;
-				else if (ch==")") nested++;
-				j--;
-			}
-			while (j>=0 && (ch=st.charAt(j))>="a" && ch<="z" || ch>="A" && ch<="Z")
-				j--;
-		} else if (ch>="a" && ch<="z" || ch>="A" && ch<="Z") {// look for variable
-			j--;
-			while (j>=0 && (ch=st.charAt(j))>="a" && ch<="z" || ch>="A" && ch<="Z")
-				j--;
-		} else { 
-			return "Error: incorrect syntax in "+st+" at position "+j;
-		}
-		//find right argument
-		if (i==st.length-1) return "Error: missing argument";
-		k = i+1;
-		ch = st.charAt(k);
-		if (ch>="0" && ch<="9" || ch=="-") {// look for signed (decimal) number
-			k++;
-			while (k<st.length && (ch=st.charAt(k))>="0" && ch<="9") k++;
-			if (ch==".") {
-				k++;
-				while (k<st.length && (ch=st.charAt(k))>="0" && ch<="9") k++;
-			}
-		} else if (ch=="(") {// look for matching closing bracket and function name
-			nested = 1;
-			k++;
-			while (k<st.length && nested>0) {
-				ch = st.charAt(k);
-				if (ch=="(") nested++;
-				else if (ch==")") nested--;
-				k++;
-			}
-		} else if (ch>="a" && ch<="z" || ch>="A" && ch<="Z") {// look for variable
-			k++;
-			while (k<st.length && (ch=st.charAt(k))>="a" && ch<="z" ||
-							 ch>="A" && ch<="Z") k++;
-		} else { 
-			return "Error: incorrect syntax in "+st+" at position "+k;
-		}
-		st = st.slice(0,j+1)+"pow("+st.slice(j+1,i)+","+st.slice(i+1,k)+")"+
-					 st.slice(k);
-	}
-
-	while ((i=st.indexOf("!"))!=-1) {
-		//find left argument
-		if (i==0) return "Error: missing argument";
-		j = i-1;
-		ch = st.charAt(j);
-		if (ch>="0" && ch<="9") {// look for (decimal) number
-			j--;
-			while (j>=0 && (ch=st.charAt(j))>="0" && ch<="9") j--;
-			if (ch==".") {
-				j--;
-				while (j>=0 && (ch=st.charAt(j))>="0" && ch<="9") j--;
-			}
-		} else if (ch==")") {// look for matching opening bracket and function name
-			nested = 1;
-			j--;
-			while (j>=0 && nested>0) {
-				ch = st.charAt(j);
-				if (ch=="(") nested--;
-				else if (ch==")") nested++;
-				j--;
-			}
-			while (j>=0 && (ch=st.charAt(j))>="a" && ch<="z" || ch>="A" && ch<="Z")
-				j--;
-		} else if (ch>="a" && ch<="z" || ch>="A" && ch<="Z") {// look for variable
-			j--;
-			while (j>=0 && (ch=st.charAt(j))>="a" && ch<="z" || ch>="A" && ch<="Z")
-				j--;
-		} else { 
-			return "Error: incorrect syntax in "+st+" at position "+j;
-		}
-		st = st.slice(0,j+1)+"factorial("+st.slice(j+1,i)+")"+st.slice(i+1);
+// Translates a formula to the JavaScript v1 evaluated under with(Math),
+// e.g. 2x^2 --> (2*pow(x,2)), n! --> factorial(n), sin^-1 x --> arcsin(x).
+this.mathjs = mathjs;
+var jsNames = {log:"logten"};
+function mathjs(st) {
+	var tree;
+	try {
+		tree = parseFormula(st);
+	} catch (err) {
+		return formulaFailed(st, err);
 	}
-	return st;
-}
-
-// TEMP FUNCTION DELETEME
-this.mathjs2 = function(st) {
-	st = st.replace(/\s/g,"");
-	if (st == "e") return "Math.E";
-	st = st.replace(/((?:sin|cos|tan|sec|csc|cot)[h]?)\^(?:-1|\(-1\))/g,"arc$1");
-	st = st.replace(/^e([\(a-z])/gi,"(Math.E)*$1")
-	st = st.replace(/([^a-z])e([^a-z])/gi,"$1*(Math.E)*$2")
-	st = st.replace(/(\d)([\(a-z])/gi,"$1*$2")
-	st = st.replace(/\)([\(a-z])/gi,")*$1")
-	st = st.replace(/log/g,"Math.log10");
-
-
-	return st;
+	return nodeToJs(tree);
 }
-
-// TEMP FUNCTION DELETEME
-this.mathjstest = function(str) {
-	var oldMJS = this.mathjs(str);
-	ASVG.log.info(`Old: ${oldMJS}`);
-	var newMJS = this.mathjs2(str);
-	ASVG.log.info(`New: ${newMJS}`);
+function nodeToJs(node) {
+	switch (node.type) {
+		case "number": return String(node.value);
+		case "name": return node.name;
+		case "unary": return "(-"+nodeToJs(node.arg)+")";
+		case "binary":
+			if (node.op == "^") return "pow("+nodeToJs(node.left)+","+nodeToJs(node.right)+")";
+			return "("+nodeToJs(node.left)+node.op+nodeToJs(node.right)+")";
+		case "call":
+			return (jsNames[node.name] || node.name)+"("+node.args.map(nodeToJs).join(",")+")";
+	}
 }
 
 
@@ -2230,84 +5079,197 @@ function resizeThrottler() {
 //
 ///////////////////////////////////////
 
-this.axes = function(dx,dy,labels,gdx,gdy) {  
+var superscripts = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+// base^k as a tick label: 1, 10, 10³, e, e⁻²
+function powerLabel(base, k) {
+	var name = (base == Math.E ? "e" : String(base));
+	if (k == 0) return "1";
+	if (k == 1) return name;
+	return name+String(k).replace("-", "⁻").replace(/\d/g, function(d) { return superscripts[d]; });
+}
+
+//////////////////////////////////////
+//
+// axes() on a board with a log axis. A log axis has ticks at each power
+// of its base, labelled 10³, with minor ticks at 2-9 times them in base
+// 10; a linear one has them every dx or dy as usual. The axes cross at 0,
+// or at the low end of a log axis or of a range not containing 0.
+//
+/////////////////////////////////////
+function logAxes(dx, dy, labels, gdx, gdy, sty) {
+	var s = callStyle(sty);
+	var bases = [logBase(0), logBase(1)];
+	var ranges = [[xmin, xmax], [ymin, ymax]];
+	var cross = ranges.map(function(r, i) { return (bases[i] == null && r[0] <= 0 && r[1] >= 0 ? 0 : r[0]); });
+	var o = px(cross);
+	var labelSize = Math.max(12, Math.min(13, Number(s.fontSize)));
+	var ticklength = (sty == null ? labelSize/4 : s.tickLength);
+	var labelClass = (s.className == null ? s.textClassName : s.className);
+	var labelSty = (sty == null ? {fontSize:labelSize, className:labelClass}
+		: {fontSize:labelSize, fontFamily:s.fontFamily, textColor:s.textColor, className:labelClass});
+
+	// Ticks along axis 0 (x) or 1 (y) as {v, major, label}; step is for a linear axis
+	function ticks(axis, step) {
+		var lo = ranges[axis][0], hi = ranges[axis][1], base = bases[axis], list = [], k, m, v;
+		if (base == null) {
+			if (!(step > 0)) return list;
+			for (k = Math.ceil(lo/step-1e-9); k*step <= hi+1e-9*step; k++) {
+				list.push({v:k*step, major:true, label:(k == 0 ? null : formatLevel(k*step))});
+			}
+			return list;
+		}
+		var u = axisScale(base);
+		for (k = Math.floor(u.to(lo)+1e-9); k <= u.to(hi)+1e-9; k++) {
+			v = Math.pow(base, k);
+			if (v >= lo*(1-1e-9)) list.push({v:v, major:true, label:powerLabel(base, k)});
+			for (m = 2; base == 10 && m < 10; m++) {
+				if (m*v >= lo && m*v <= hi) list.push({v:m*v, major:false, label:formatLevel(m*v)});
+			}
+		}
+		// Minor ticks are labelled only when fewer than two powers show
+		if (list.filter(function(t) { return t.major; }).length > 1) {
+			list.forEach(function(t) { if (!t.major) t.label = null; });
+		}
+		return list;
+	}
+	var xTicks = ticks(0, dx), yTicks = ticks(1, dy);
+
+	var line = function(p, q) {
+		return " M"+p[0].toFixed(2)+","+p[1].toFixed(2)+" "+q[0].toFixed(2)+","+q[1].toFixed(2);
+	};
+	var st;
+	if (gdx != null || gdy != null) {
+		st = "";
+		ticks(0, (typeof gdx == "string" || gdx == null ? dx : gdx)).forEach(function(t) {
+			var x = px([t.v, cross[1]])[0];
+			st += line([x, 0], [x, boardHeight]);
+		});
+		ticks(1, (gdy == null ? dy : gdy)).forEach(function(t) {
+			var y = px([cross[0], t.v])[1];
+			st += line([0, y], [boardWidth, y]);
+		});
+		makeSVG("path", {d:st, "stroke-width":1, "shape-rendering":"crispEdges", stroke:s.gridStrokeColor, fill:"none"}, svgID);
+	}
+
+	st = line([0, o[1]], [boardWidth, o[1]]);
+	if (showYaxis == 1) st += line([o[0], 0], [o[0], boardHeight]);
+	xTicks.forEach(function(t) {
+		var x = px([t.v, cross[1]])[0], l = (t.major ? ticklength : ticklength/2);
+		st += line([x, o[1]+l], [x, o[1]-l]);
+	});
+	if (showYaxis == 1) yTicks.forEach(function(t) {
+		var y = px([cross[0], t.v])[1], l = (t.major ? ticklength : ticklength/2);
+		st += line([o[0]+l, y], [o[0]-l, y]);
+	});
+	makeSVG("path", {d:st, "stroke-width":1, "shape-rendering":"crispEdges", stroke:s.axesStrokeColor, fill:"none"}, svgID);
+
+	if (labels != null && labels != "none") {
+		xTicks.forEach((t) => {
+			if (t.label != null) this.text([t.v, cross[1]], t.label, "below", undefined, undefined, undefined, labelSty);
+		});
+		if (showYaxis == 1) yTicks.forEach((t) => {
+			if (t.label != null) this.text([cross[0], t.v], t.label, "left", undefined, undefined, undefined, labelSty);
+		});
+	}
+
+	var vbleSty = (sty == null ? {fontSize:labelSize, className:"intmathItalic"}
+		: {...labelSty, fontStyle:"italic"});
+	var arrowSty = {stroke:(sty == null ? "#555" : s.axesStrokeColor), arrowFillColor:s.arrowFillColor};
+	this.text(transform.toWorld([boardWidth-10, o[1]]), xAxisVble, "above", svgID+"xAxVbl", "", 'KaTeX_Math,"Times New Roman",Times,serif', vbleSty);
+	this.arrowhead(cross, transform.toWorld([boardWidth, o[1]]), "xaxisArr", arrowSty);
+	if (showYaxis == 1) {
+		this.text(transform.toWorld([o[0], 10]), yAxisVble, "right", svgID+"yAxVbl", "", 'KaTeX_Math,"Times New Roman",Times,serif', vbleSty);
+		this.arrowhead(cross, transform.toWorld([o[0], 0]), "yaxisArr", arrowSty);
+	}
+}
+
+this.axes = function(dx,dy,labels,gdx,gdy,sty) {  
 
 //console.log("brdID = "+brdID)
 //clog(brdPropsArr[brdID],2094);
 	
 	//////////////////////////////////////////
 	//
-	// dx for ticks and labels on horiz axis
-	// dy for ticks and labels on vert axis 
+	// dx for ticks and labels on horiz axis (default 1)
+	// dy for ticks and labels on vert axis (default dx)
 	// labels can be any text - "labels" (for showing labels) or null to hide labels  
-	// gdx for grids horiz axis (null turns them off)
-	// gdy for grids on vert axis (null turns them off)
+	// gdx for grids horiz axis (null or left out turns them off)
+	// gdy for grids on vert axis (null or left out turns them off)
+	// sty applies to this call only; the board's style is left as it was
 	//
 	///////////////////////////////////////////
 	
-	var nanObj = {dx:dx,dy:dy,gdx:gdx};
+	if (dx === undefined) dx = 1;
+	if (dy === undefined) dy = dx;
+	if (gdx === undefined) gdx = null;
+	if (gdy === undefined) gdy = null;
+	var nanObj = {dx:dx,dy:dy,gdx:gdx,gdy:gdy};
 	for (var name in nanObj){
-		if(isNaN(nanObj[name]) || typeof(nanObj[name]) == "undefined") {
-			console.log(name + " is not a number! Aborting...");
-			return;
+		if(nanObj[name] != null && isNaN(nanObj[name])) {
+			return fail(ASVG.RangeError, "axes: " + name + " is not a number: " + nanObj[name], nanObj[name]);
 		}
 	} 
 
-	if(dx==null && dy==null) {
-		doAxes=0;
+	if (logBase(0) != null || logBase(1) != null) {
+		return logAxes.call(this, dx, dy, labels, gdx, gdy, sty);
 	}
-	
-	if(gdx==null && gdy==null) {
-		doGrids=0;
-	} 
+
+	var doAxes = (dx==null && dy==null) ? 0 : 1;
+	var doGrids = (gdx==null && gdy==null) ? 0 : 1;
 
 	var x, y, ldx, ldy, lx, ly, lxp, lyp, pnode, st;
+	var s = callStyle(sty);
+	var xul = transform.scale[0], yul = transform.scale[1];
+	var o = px([0,0]);
 //  if (typeof dx=="string") { labels = dx; dx = null; }
 //  if (typeof dy=="string") { gdx = dy; dy = null; }
-	dx = (dx==null?xunitlength:dx*xunitlength);
-	dy = (dy==null?dx:dy*yunitlength);
-	fontsize = Math.max(12, Math.min(dx/2,dy/2,fontsize));
-	ticklength = fontsize/4;
+	dx = (dx==null?xul:dx*xul);
+	dy = (dy==null?dx:dy*yul);
+	var labelSize = Math.max(12, Math.min(dx/2,dy/2,Number(s.fontSize)));
+	var ticklength = labelSize/4;
+	if (sty != null) ticklength = s.tickLength;
+	var labelClass = (s.className == null ? s.textClassName : s.className);
+	var labelSty = (sty == null ? {fontSize:labelSize, className:labelClass}
+		: {fontSize:labelSize, fontFamily:s.fontFamily, textColor:s.textColor, className:labelClass});
 
 	// Grids
 	if(doGrids == 1) {
-		gdx = (typeof gdx=="string"?dx:gdx*xunitlength);
-		gdy = (gdy==null?dy:gdy*yunitlength);
+		gdx = (typeof gdx=="string"?dx:gdx*xul);
+		gdy = (gdy==null?dy:gdy*yul);
 		pnode = document.createElementNS('http://www.w3.org/2000/svg', "path");
 		
 		
 		st="";      
 		if (gdx!==null && gdx!== 0 && gdx > 0) {  
-			for (x = origin[0]; x<boardWidth; x = x+gdx)
+			for (x = o[0]; x<boardWidth; x = x+gdx)
 				st += " M"+x.toFixed(2)+",0"+" "+x.toFixed(2)+","+boardHeight.toFixed(2);   
-			for (x = origin[0]-gdx; x>0; x = x-gdx)
+			for (x = o[0]-gdx; x>0; x = x-gdx)
 				st += " M"+x.toFixed(2)+",0"+" "+x.toFixed(2)+","+boardHeight.toFixed(2);
 		} else {
-			console.log("Is your gdx null or otherwise strange? Aborting...");
-			return;
+			return fail(ASVG.RangeError, "axes: gdx must be a number > 0, not " + gdx, gdx);
 		}
 		if (gdy!==null && gdy!== 0 && gdy > 0 ) { 
 			if( showYaxis == 1) {
 				if(gdy > 0 ) {
-					for (y = boardHeight-origin[1]; y<boardHeight-0.99*padding; y = y+gdy){
+					for (y = o[1]; y<boardHeight-0.99*padding; y = y+gdy){
 					st += " M0,"+y.toFixed(2)+" "+boardWidth+","+y.toFixed(2);        
 					}
 				}
-				for (y = boardHeight-origin[1]-gdy; y>0.99*padding; y = y-gdy) {
+				for (y = o[1]-gdy; y>0.99*padding; y = y-gdy) {
 					st += " M0,"+y.toFixed(2)+" "+boardWidth+","+y.toFixed(2);    
 				}
 			}
 		} else {
-			console.log("Is your yMax less than your yMin? Aborting...");
-			return;
+			return fail(ASVG.RangeError, "axes: gdy must be a number > 0 (is yMax less than yMin?), not " + gdy, gdy);
 		}
 		
 		pnode.setAttribute("d",st);
 		pnode.setAttribute("stroke-width", 1);
 		pnode.setAttribute("shape-rendering", "crispEdges");  
-		pnode.setAttribute("stroke", gridstroke);
-		pnode.setAttribute("fill", fill);
-		theSVG.appendChild(pnode);
+		pnode.setAttribute("stroke", s.gridStrokeColor);
+		pnode.setAttribute("fill", "none");
+		appendToBoard(pnode);
 	}
 	
 	if(doAxes == 1) {
@@ -2315,49 +5277,49 @@ this.axes = function(dx,dy,labels,gdx,gdy) {
 		// Axes
 		pnode = document.createElementNS('http://www.w3.org/2000/svg', "path");
 		// xAxis
-		st += "M0,"+(boardHeight-origin[1]).toFixed(2)+" "+boardWidth.toFixed(2)+","+(boardHeight-origin[1]).toFixed(2);
+		st += "M0,"+(o[1]).toFixed(2)+" "+boardWidth.toFixed(2)+","+(o[1]).toFixed(2);
 
 		// yAxis
 		if(showYaxis == 1) {
-			st += " M"+origin[0].toFixed(2)+",0 "+origin[0].toFixed(2)+","+boardHeight.toFixed(2);
+			st += " M"+o[0].toFixed(2)+",0 "+o[0].toFixed(2)+","+boardHeight.toFixed(2);
 		}
 
 		if(dx !== null && dx > 0) {
-			for (x = origin[0]+dx; x<boardWidth; x = x+dx) {
-				st += " M"+x.toFixed(2)+","+(boardHeight-origin[1]+ticklength).toFixed(2)+" "+x.toFixed(2)+","+
-					(boardHeight-origin[1]-ticklength).toFixed(2);
+			for (x = o[0]+dx; x<boardWidth; x = x+dx) {
+				st += " M"+x.toFixed(2)+","+(o[1]+ticklength).toFixed(2)+" "+x.toFixed(2)+","+
+					(o[1]-ticklength).toFixed(2);
 			}
-			for (x = origin[0]-dx; x>0; x = x-dx) {
-				st += " M"+x.toFixed(2)+","+(boardHeight-origin[1]+ticklength).toFixed(2)+" "+x.toFixed(2)+","+
-					(boardHeight-origin[1]-ticklength).toFixed(2);
+			for (x = o[0]-dx; x>0; x = x-dx) {
+				st += " M"+x.toFixed(2)+","+(o[1]+ticklength).toFixed(2)+" "+x.toFixed(2)+","+
+					(o[1]-ticklength).toFixed(2);
 			}
 
 			if (showYaxis == 0) {
-				st += " M"+origin[0].toFixed(2)+","+(boardHeight-origin[1]+ticklength).toFixed(2)+" "+origin[0].toFixed(2)+", "+(boardHeight-origin[1]-ticklength).toFixed(2);
+				st += " M"+o[0].toFixed(2)+","+(o[1]+ticklength).toFixed(2)+" "+o[0].toFixed(2)+", "+(o[1]-ticklength).toFixed(2);
 			}     
 		}
 
 		if(dy !== null && dy > 0 && showYaxis == 1) {
-			for (y = boardHeight-origin[1]+dy; y<boardHeight-0.99*padding; y = y+dy) {
-				st += " M"+(origin[0]+ticklength).toFixed(2)+","+y.toFixed(2)+" "+(origin[0]-ticklength).toFixed(2)+","+y.toFixed(2);       
+			for (y = o[1]+dy; y<boardHeight-0.99*padding; y = y+dy) {
+				st += " M"+(o[0]+ticklength).toFixed(2)+","+y.toFixed(2)+" "+(o[0]-ticklength).toFixed(2)+","+y.toFixed(2);       
 			}
-			for (y = boardHeight-origin[1]-dy; y>0.99*padding; y = y-dy) {  
-				st += " M"+(origin[0]+ticklength).toFixed(2)+","+y.toFixed(2)+" "+(origin[0]-ticklength).toFixed(2)+","+y.toFixed(2);     
+			for (y = o[1]-dy; y>0.99*padding; y = y-dy) {  
+				st += " M"+(o[0]+ticklength).toFixed(2)+","+y.toFixed(2)+" "+(o[0]-ticklength).toFixed(2)+","+y.toFixed(2);     
 			} 
 		}
 
 		pnode.setAttribute("d",st);
 		pnode.setAttribute("stroke-width", 1);
 		pnode.setAttribute("shape-rendering", "crispEdges");
-		pnode.setAttribute("stroke", axesstroke);
-		pnode.setAttribute("fill", fill);
-		theSVG.appendChild(pnode);  
+		pnode.setAttribute("stroke", s.axesStrokeColor);
+		pnode.setAttribute("fill", "none");
+		appendToBoard(pnode);  
 
 		// Axes labels
 		
 		if (labels!=null && labels!="none") {
-			ldx = dx/xunitlength;
-			ldy = dy/yunitlength; 
+			ldx = dx/xul;
+			ldy = dy/yul; 
 			lx = (xmin>0 || xmax<0?xmin:0);
 			ly = (ymin>0 || ymax<0?ymin:0);
 			lxp = (ly==0?"below":"above");
@@ -2365,27 +5327,26 @@ this.axes = function(dx,dy,labels,gdx,gdy) {
 			if (gdx!==null && gdx!== 0) {
 				var ddx = Math.floor(1.1-Math.log(ldx)/Math.log(10))+2;
 				for (x = ldx; x<=xmax; x = x+ldx) {
-					this.text([x,ly],chopZ(x.toFixed(ddx)),lxp);        
+					this.text([x,ly],chopZ(x.toFixed(ddx)),lxp,undefined,undefined,undefined,labelSty);        
 				}
 				for (x = -ldx; xmin<=x; x = x-ldx)
-					this.text([x,ly],chopZ(x.toFixed(ddx)),lxp);
+					this.text([x,ly],chopZ(x.toFixed(ddx)),lxp,undefined,undefined,undefined,labelSty);
 
 				if (showYaxis == 0) {
-					this.text([0,ly],0,lxp);
+					this.text([0,ly],"0",lxp,undefined,undefined,undefined,labelSty);
 				}       
 			}
 			if (gdy!==null && gdy!== 0) { 
 				var ddy = Math.max(0, Math.floor(1.1-Math.log(ldy)/Math.log(10))+2);     
 				if(ddy < 0) {
-					console.log("ddy is < 0. Aborting...");
-					return;
+					return fail(ASVG.RangeError, "axes: ddy is < 0", ddy);
 				}
 				if (showYaxis == 1) {
 					for (y = ldy; y<=ymax; y = y+ldy) {
-						this.text([lx,y],chopZ(y.toFixed(ddy)),lyp);
+						this.text([lx,y],chopZ(y.toFixed(ddy)),lyp,undefined,undefined,undefined,labelSty);
 					}
 					for (y = -ldy; ymin<=y; y = y-ldy)
-						this.text([lx,y],chopZ(y.toFixed(ddy)),lyp);
+						this.text([lx,y],chopZ(y.toFixed(ddy)),lyp,undefined,undefined,undefined,labelSty);
 				} 
 			}
 		} //syntax: this.text(p,str,pos,id,fontsty,fontfam)... Complains if id set
@@ -2396,25 +5357,132 @@ this.axes = function(dx,dy,labels,gdx,gdy) {
 		if(typeof(yAxisVble) == "undefined") {
 			yAxisVble = window.yAxisVble;
 		}
-		// Set for axisVbles
-		txtLabelsClass = "intmathItalic";
-		this.text([xmax+(padding-10)/xunitlength,0],xAxisVble,"above",svgID+"xAxVbl","",'KaTeX_Math,"Times New Roman",Times,serif'); // x-axis label
+		// For axisVbles
+		var vbleSty = (sty == null ? {fontSize:labelSize, className:"intmathItalic"}
+			: {...labelSty, fontStyle:"italic"});
+		this.text([xmax+(padding-10)/xul,0],xAxisVble,"above",svgID+"xAxVbl","",'KaTeX_Math,"Times New Roman",Times,serif',vbleSty); // x-axis label
 		if( showYaxis == 1) {
-			this.text([0,ymax+(padding-10)/yunitlength],yAxisVble,"right",svgID+"yAxVbl","",'KaTeX_Math,"Times New Roman",Times,serif'); // y-axis label
+			this.text([0,ymax+(padding-10)/yul],yAxisVble,"right",svgID+"yAxVbl","",'KaTeX_Math,"Times New Roman",Times,serif',vbleSty); // y-axis label
 		}
-		// Set back for any additional text
-		txtLabelsClass = "intmath";
-		markerstrokewidth = 0.5;
-		stroke = "#555";
-		this.arrowhead([0,0],[xmax+padding/xunitlength,0],"xaxisArr");
+		var arrowSty = {stroke:(sty == null ? "#555" : s.axesStrokeColor), arrowFillColor:s.arrowFillColor};
+		this.arrowhead([0,0],[xmax+padding/xul,0],"xaxisArr",arrowSty);
 		if( showYaxis == 1) {
-			this.arrowhead([0,0],[0,ymax+padding/yunitlength],"yaxisArr");
+			this.arrowhead([0,0],[0,ymax+padding/yul],"yaxisArr",arrowSty);
+		}
+
+	}
+}
+
+///////////////////////////////////////
+//
+// polarAxes(options, sty)
+//
+// options:
+//   rStep: distance between the circles, default 1
+//   angleStep: angle between the spokes in radians, default pi/6
+//   labels: "pi" for multiples of pi, "degrees", or "none"
+//   rLabels: false hides the radius labels along theta = 0
+//
+///////////////////////////////////////
+this.polarAxes = function(options, sty) {
+	options = {rStep:1, angleStep:Math.PI/6, labels:"pi", rLabels:true, ...options};
+	var rStep = options.rStep, angleStep = options.angleStep;
+	for (var name of ["rStep", "angleStep"]) {
+		if (!isNum(options[name]) || options[name] <= 0) {
+			return fail(ASVG.RangeError, "polarAxes: "+name+" must be a number > 0, not "+options[name], options[name]);
+		}
+	}
+	var s = callStyle(sty);
+	var vis = transform.visible;
+	var xul = transform.scale[0], yul = transform.scale[1];
+	var o = px([0,0]);
+	var labelSize = Math.max(12, Math.min(rStep*xul/2, Number(s.fontSize)));
+	var labelClass = (s.className == null ? s.textClassName : s.className);
+	var labelSty = (sty == null ? {fontSize:labelSize, className:labelClass}
+		: {fontSize:labelSize, fontFamily:s.fontFamily, textColor:s.textColor, className:labelClass});
+
+	// Circles out to the farthest corner, spokes from the pole
+	var rMax = Math.max(Math.hypot(vis.xMin, vis.yMin), Math.hypot(vis.xMin, vis.yMax),
+		Math.hypot(vis.xMax, vis.yMin), Math.hypot(vis.xMax, vis.yMax));
+	var spokes = Math.round(2*Math.PI/angleStep);
+	var st = "", r, k, a, rx, ry;
+	for (r = rStep; r <= rMax+rStep/2; r += rStep) {
+		rx = (r*xul).toFixed(2);
+		ry = (r*yul).toFixed(2);
+		st += " M"+(o[0]+r*xul).toFixed(2)+","+o[1].toFixed(2)+
+			" A"+rx+","+ry+" 0 1,0 "+(o[0]-r*xul).toFixed(2)+","+o[1].toFixed(2)+
+			" A"+rx+","+ry+" 0 1,0 "+(o[0]+r*xul).toFixed(2)+","+o[1].toFixed(2);
+	}
+	for (k = 0; k < spokes; k++) {
+		a = k*angleStep;
+		st += " M"+o[0].toFixed(2)+","+o[1].toFixed(2)+" "+
+			(o[0]+rMax*xul*Math.cos(a)).toFixed(2)+","+(o[1]-rMax*yul*Math.sin(a)).toFixed(2);
+	}
+	var pnode = document.createElementNS('http://www.w3.org/2000/svg', "path");
+	pnode.setAttribute("d",st);
+	pnode.setAttribute("stroke-width", 1);
+	pnode.setAttribute("stroke", s.gridStrokeColor);
+	pnode.setAttribute("fill", "none");
+	appendToBoard(pnode);
+
+	// Angle labels just outside the largest circle that leaves them room
+	var margin = 2*labelSize;
+	var rFit = Math.min(vis.xMax-margin/xul, -vis.xMin-margin/xul, vis.yMax-margin/yul, -vis.yMin-margin/yul);
+	var rLabel = Math.floor(rFit/rStep+1e-9)*rStep;
+	if (options.labels != null && options.labels != "none" && rLabel > 0) {
+		for (k = 0; k < spokes; k++) {
+			a = k*angleStep;
+			var c = Math.cos(a), sn = Math.sin(a);
+			var pos = (sn > 0.3 ? "above" : (sn < -0.3 ? "below" : ""))+
+				(c > 0.3 ? "right" : (c < -0.3 ? "left" : ""));
+			var label = (options.labels == "degrees" ? chopZ((a*180/Math.PI).toFixed(1))+"°" : piLabel(a));
+			this.text([rLabel*c, rLabel*sn], label, pos, undefined, undefined, undefined, labelSty);
+		}
+	}
+	if (options.rLabels) {
+		var dr = Math.max(0, Math.floor(1.1-Math.log(rStep)/Math.log(10))+2);
+		for (r = rStep; r <= vis.xMax; r += rStep) {
+			if (r > vis.xMin && vis.yMin <= 0 && vis.yMax >= 0) {
+				this.text([r, 0], chopZ(r.toFixed(dr)), "belowleft", undefined, undefined, undefined, labelSty);
+			}
 		}
+	}
+}
 
+// An angle as a multiple of pi, e.g. 5pi/6, with denominators up to 12
+function piLabel(a) {
+	var m = a/Math.PI, d, n;
+	for (d = 1; d <= 12; d++) {
+		n = Math.round(m*d);
+		if (Math.abs(m*d-n) < 1e-9) {
+			if (n == 0) return "0";
+			return (n == 1 ? "" : (n == -1 ? "-" : n))+"π"+(d == 1 ? "" : "/"+d);
+		}
 	}
+	return chopZ(m.toFixed(2))+"π";
 }
 
-this.initBoard = function(divID, x_min,x_max,y_min,y_max) {
+// Board xScale/yScale options and their log bases
+var scaleBases = {linear: null, log: 10, ln: Math.E};
+
+this.initBoard = function(divID, x_min,x_max,y_min,y_max,pad,bgFill,scales) {
+	// y_max null scales y as x; scales [xScale,yScale] are keys of scaleBases
+	scales = scales || [];
+	var bases = [0, 1].map(function(i) { return scaleBases[scales[i] || "linear"]; });
+	if (gebi(divID) == null && !fail(ASVG.UnknownBoardError, "initBoard: no element with id "+divID, divID)
+		|| !checkRange(x_min, x_max, "initBoard x range")
+		|| !checkRange(y_min, (y_max==null ? Infinity : y_max), "initBoard y range")) return null;
+	for (var i=0; i<2; i++) {
+		if (bases[i] === undefined) {
+			fail(ASVG.RangeError, "initBoard: "+"xy"[i]+'Scale must be "linear", "log" or "ln", not '+JSON.stringify(scales[i]), scales[i]);
+			return null;
+		}
+		if (bases[i] != null && !([x_min, y_min][i] > 0)) {
+			fail(ASVG.RangeError, "initBoard: a log "+"xy"[i]+" axis needs a range above 0, not from "+[x_min, y_min][i], [x_min, y_min][i]);
+			return null;
+		}
+	}
+	var U = axisScale(bases[0]), V = axisScale(bases[1]); // linear in these units
 	boundingDiv = gebi(divID);
 	boundingDiv.style.position = "relative";
 	boardWidth = boundingDiv.getBoundingClientRect().width;   
@@ -2422,6 +5490,9 @@ this.initBoard = function(divID, x_min,x_max,y_min,y_max) {
 	// Positions from browser boundaries
 	boardLeft = boundingDiv.getBoundingClientRect().left;
 	boardTop = boundingDiv.getBoundingClientRect().top;
+	if (brdID != null && typeof(brdPropsArr[brdID]) != "undefined") {
+		storeBoardStyle(brdPropsArr[brdID]["style"]);
+	}
 	svgID = divID+'SVG';
 	brdID = divID// boundingDiv.id;
 	makeSVG('svg', {id:svgID, width:boardWidth, height:boardHeight}, brdID);
@@ -2433,38 +5504,25 @@ this.initBoard = function(divID, x_min,x_max,y_min,y_max) {
 	// Defaults for all boards on a page
 	//
 	//////////////////////////////////////
-	strokewidth = "1"; // pixel
-	strokedasharray = null;
-	stroke = "black"; // default line color
-	fill = "none";    // default fill color
-	fontstyle = "normal"; // default shape for text labels
-	fontfamily = 'KaTeX_Main,"Times New Roman",Times,serif';  //"Georgia, times, serif"; // default font
-	
-//console.log("init = "+fontsize) 
-	
-	//fontsize = "16";      // default size
-	fontweight = "normal";
-	fontstroke = "none";  // default font outline color
-	fontfill = "none";    // default font color
-	marker = "none";
+	loadBoardStyle(initialStyle);
 //dotDraggable = false; // Has to be explicity turned on for each board
 	//  
+	padding = (pad==null?defaultPadding:pad);
 	ymax = null;
 	xmin = x_min;
 	xmax = x_max;
 	ymin = y_min;
 	ymax = y_max;
-	if(xmin >= xmax) { xmax++;}
-	if(ymin >= ymax && ymax!=null) { ymax++; }
-	xunitlength = (boardWidth-2*padding)/(xmax-xmin);
+
+	xunitlength = (boardWidth-2*padding)/(U.to(xmax)-U.to(xmin));
 //console.log(brdID, xunitlength) 
 	yunitlength = xunitlength;  
 	if (ymax==null) { // Equally scaled axes case
-		ymax = ymin + (boardHeight - 2*padding)/yunitlength;
+		ymax = V.from(V.to(ymin) + (boardHeight - 2*padding)/yunitlength);
 	} else {
-		yunitlength = (boardHeight-2*padding)/(ymax-ymin);
+		yunitlength = (boardHeight-2*padding)/(V.to(ymax)-V.to(ymin));
 	}
-	origin = [-xmin*xunitlength+padding,-ymin*yunitlength+padding];
+	origin = [-U.to(xmin)*xunitlength+padding,-V.to(ymin)*yunitlength+padding];
 	
 	/************************************************/
 	/*** deprecated ***/
@@ -2494,18 +5552,22 @@ this.initBoard = function(divID, x_min,x_max,y_min,y_max) {
 	brdPropsArr[brdID] = [];
 	brdPropsArr[brdID]["xMin"] = xmin;
 	brdPropsArr[brdID]["yMin"] = ymin;
-	brdPropsArr[brdID]["actualXmin"] = xmin - padding/xunitlength;
-	brdPropsArr[brdID]["actualYmin"] = ymin - padding/yunitlength;
+	brdPropsArr[brdID]["actualXmin"] = U.from(U.to(xmin) - padding/xunitlength);
+	brdPropsArr[brdID]["actualYmin"] = V.from(V.to(ymin) - padding/yunitlength);
 	
 	brdPropsArr[brdID]["xMax"] = xmax;
 	brdPropsArr[brdID]["yMax"] = ymax;
-	brdPropsArr[brdID]["actualXmax"] = xmax + padding/xunitlength;
-	brdPropsArr[brdID]["actualYmax"] = ymax + padding/yunitlength;
+	brdPropsArr[brdID]["actualXmax"] = U.from(U.to(xmax) + padding/xunitlength);
+	brdPropsArr[brdID]["actualYmax"] = V.from(V.to(ymax) + padding/yunitlength);
+	actualXmin = brdPropsArr[brdID]["actualXmin"];
+	actualXmax = brdPropsArr[brdID]["actualXmax"];
+	actualYmin = brdPropsArr[brdID]["actualYmin"];
+	actualYmax = brdPropsArr[brdID]["actualYmax"];
 	
-	var yRange = brdPropsArr[brdID]["yMax"] - brdPropsArr[brdID]["yMin"];
+	var yRange = V.to(ymax) - V.to(ymin);
 	var extendAmt = 0.25; // Plot within this % either side of actual vertical limits
-	var plotYmin = brdPropsArr[brdID]["actualYmin"] - extendAmt*yRange;
-	var plotYmax = brdPropsArr[brdID]["actualYmax"] + extendAmt*yRange;
+	var plotYmin = V.from(V.to(actualYmin) - extendAmt*yRange);
+	var plotYmax = V.from(V.to(actualYmax) + extendAmt*yRange);
 
 	brdPropsArr[brdID]["plotYmin"] = plotYmin;
 	brdPropsArr[brdID]["plotYmax"] = plotYmax;  
@@ -2519,6 +5581,15 @@ this.initBoard = function(divID, x_min,x_max,y_min,y_max) {
 	brdPropsArr[brdID]["ox"] = origin[0];
 	brdPropsArr[brdID]["oy"] = origin[1];
 	brdPropsArr[brdID]["pad"] = padding;
+	brdPropsArr[brdID]["style"] = storeBoardStyle({});
+	var visible = {xMin:actualXmin, xMax:actualXmax, yMin:actualYmin, yMax:actualYmax};
+	var plotArea = {xMin:actualXmin, xMax:actualXmax, yMin:plotYmin, yMax:plotYmax};
+	if (bases[0] == null && bases[1] == null) {
+		transform = linearTransform(origin[0], origin[1], xunitlength, yunitlength, boardHeight, visible, plotArea);
+	} else {
+		transform = logTransform(origin[0], origin[1], xunitlength, yunitlength, boardHeight, visible, plotArea, bases);
+	}
+	brdPropsArr[brdID]["transform"] = transform;
 	
 	// Global name space (defined outside this function)
 	brdPropsNS = brdPropsArr[brdID];
@@ -2527,9 +5598,72 @@ this.initBoard = function(divID, x_min,x_max,y_min,y_max) {
 //clog(brdPropsArr[brdID],2372);  
 	var boardBG = makeSVG('rect', {
 				id:"brdBg_"+brdID, x:0, y:0, width:boardWidth+"px", height:boardHeight+"px", 
-				stroke:'none', fill: 'white'}, svgID);
+				stroke:'none', fill: (bgFill==null?'white':bgFill)}, svgID);
+
+	var bp = brdPropsArr[brdID];
+	vlog("debug", "initBoard: x "+bp["actualXmin"]+" to "+bp["actualXmax"]+", y "+bp["actualYmin"]+" to "+bp["actualYmax"]+", unit "+xunitlength+"px");
+	return brdPropsArr[brdID];
+}
 
-	console.log(brdPropsArr); // DEBUGGING DELETEME
+// Entries of brdPropsArr[divID] set by initBoard; the rest belong to elements
+var boardKeys = ["xMin", "yMin", "actualXmin", "actualYmin", "xMax", "yMax", "actualXmax", "actualYmax",
+	"plotYmin", "plotYmax", "brdWidth", "brdHeight", "Left", "Top", "XuL", "YuL", "ox", "oy", "pad", "style", "transform",
+	"definitions", "scope"];
+
+//////////////////////////////////////
+//
+// clearBoard empties board divID: everything drawn on it, its HTML labels,
+// its drag and pointer listeners and what was stored for its elements.
+// Its coordinate system, style and background stay. deleteBoard also
+// removes the SVG and every record of the board.
+//
+/////////////////////////////////////
+this.clearBoard = function(divID) {
+	var svg = gebi(divID+"SVG");
+	var tracked = trackListeners(divID);
+	tracked.svg.forEach(function(l) { l[0].removeEventListener(l[1], l[2], false); });
+	tracked.drag.forEach(function(listener) { listener.remove(); });
+	delete boardListeners[divID];
+	if (svg != null) {
+		Array.prototype.slice.call(svg.childNodes).forEach(function(ele) {
+			if (ele.id != "brdBg_"+divID) svg.removeChild(ele);
+		});
+	}
+	if (gebi(divID) != null) {
+		Array.prototype.slice.call(gebi(divID).getElementsByClassName("svgHtml")).forEach(function(ele) {
+			ele.parentNode.removeChild(ele);
+		});
+	}
+	if (typeof(brdPropsArr[divID]) != "undefined") {
+		for (var k in brdPropsArr[divID]) {
+			if (boardKeys.indexOf(k) == -1) delete brdPropsArr[divID][k];
+		}
+	}
+	currCartMatrix[divID] = [];
+}
+
+// Drops what brdPropsArr holds for the nodes with these ids, once removed
+this.forgetNodes = function(divID, ids) {
+	if (typeof(brdPropsArr[divID]) == "undefined") return;
+	ids.forEach(function(id) {
+		if (boardKeys.indexOf(id) == -1) delete brdPropsArr[divID][id];
+	});
+}
+
+this.deleteBoard = function(divID) {
+	this.clearBoard(divID);
+	removeEle(divID+"SVG");
+	if (brdPropsNS === brdPropsArr[divID]) window.brdPropsNS = {};
+	delete brdPropsArr[divID];
+	delete currCartMatrix[divID];
+	for (var k in boardPropsArr) {
+		if (k.indexOf(divID) == 0 && boardKeys.concat(["Width", "Height"]).indexOf(k.slice(divID.length)) > -1) {
+			delete boardPropsArr[k];
+		}
+	}
+	if (brdID == divID) {
+		brdID = svgID = boundingDiv = theSVG = transform = undefined;
+	}
 }
 
 }).apply(this.V2);